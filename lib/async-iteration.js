@@ -0,0 +1,165 @@
+'use strict'
+
+const EventEmitter = require('events')
+const stream = require('stream')
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  variant: 'backpressure',
+  readCount: 10, // the number of times Source._read can be called before it pushes null
+  readInterval: 100, // ms
+  writeInterval: 500, // ms, the time the loop body takes for each chunk
+  sourceHighWaterMark: 100, // bytes
+  chunkData: instrumentation.defaults.CHUNK_DATA,
+  from: false, // iterate a Readable.from() async generator instead of a Source
+  loopErrorAt: 0 // the iteration (counting from 1) that throws out of the loop, 0 for none
+}
+
+// The backpressure, errors and flowing examples, with `for await` in place of .pipe() and a Sink.
+const VARIANTS = {
+  backpressure: {},
+  errors: {
+    writeInterval: 1000,
+    faults: { source: [{ type: 'emit', at: 3 }] } // Source._read #3 emits an error
+  },
+  flowing: {
+    readCount: 20,
+    writeInterval: 150
+  }
+}
+
+/*
+  for await (const chunk of source) { ... } in place of source.pipe(sink), where the loop body takes writeInterval
+  ms per chunk.
+
+  Backpressure:
+  1. The loop asks for the next chunk only once its body is done, so while it works the source buffer fills to its
+     highWaterMark, push returns false and reading stops, just as when a pipe's write returns false.
+  2. Each iteration reads everything that is buffered, joined into one chunk: a slow loop sees fewer, bigger chunks
+     than the source pushed, and empties the source buffer every time. In object mode, and with Readable.from, it
+     gets one object at a time.
+  3. Readable.from buffers a single object ahead of the loop: its highWaterMark is 1.
+
+  Errors:
+  4. An error emitted without destroying the source, as in the errors example, doesn't stop the loop. It carries on
+     while there are chunks to read, and the error is only thrown out of the for await once a read comes back empty,
+     which here is after the source has ended. A source destroyed with an error (the 'destroy' fault) throws it at
+     the next iteration, and the chunks still buffered are lost.
+  5. Throwing (or breaking, or returning) out of the loop body destroys the source.
+
+  Flowing:
+  6. The iterator reads on 'readable' events, so the source is never flowing: readableFlowing goes from null to
+     false as the loop starts, and isPaused() is true throughout.
+*/
+
+// The chunk the loop body is working on, drawn as a buffer that holds one chunk at a time.
+class Loop extends EventEmitter {
+  constructor(source) {
+    super()
+    this.name = 'Loop'
+    this.bufferLimit = source.bufferLimit
+    this.bufferUnit = source.bufferUnit
+    this.chunk = null
+    this.completeId = 0
+  }
+
+  getBufferLength() {
+    return this.chunk === null ? 0 : 1
+  }
+
+  getBufferSize() {
+    if (this.chunk === null) {
+      return 0
+    }
+    return this.bufferUnit === 'objects' ? 1 : this.chunk.length
+  }
+}
+
+// An async generator for Readable.from, yielding `chunkData` every `readInterval` ms.
+function generate(config, clock) {
+  return (async function * () {
+    for (let count = 1; count <= config.readCount; count++) {
+      await new Promise((resolve) => clock.setTimeout(resolve, config.readInterval))
+      yield config.chunkData
+    }
+  })()
+}
+
+function run(options) {
+  const variant = (options && options.variant) || DEFAULTS.variant
+  if (!VARIANTS[variant]) {
+    throw new Error(`Unknown variant "${variant}", expected one of ${Object.keys(VARIANTS).join(', ')}`)
+  }
+  const config = Object.assign({}, DEFAULTS, VARIANTS[variant], options)
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {})
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const source = config.from
+    ? instrumentation.instrument(stream.Readable.from(generate(config, clock)), 'Readable.from')
+    : new instrumentation.Source({
+      highWaterMark: config.sourceHighWaterMark,
+      readCount: config.readCount,
+      readInterval: config.readInterval,
+      chunkData: config.chunkData,
+      faults: faults.source,
+      clock
+    })
+  const loop = new Loop(source)
+
+  const tracer = new instrumentation.Tracer({ clock })
+  tracer.attach(source)
+  tracer.attach(loop)
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+  instrumentation.monitorBuffers(tracer, [source, loop])
+  instrumentation.monitorFaults(tracer, [source])
+  if (variant === 'flowing') {
+    instrumentation.monitorFlowing(tracer, source)
+  }
+
+  source.on('end', () => {
+    output.log('bad', `${source.name} end`)
+  })
+
+  source.on('close', () => {
+    output.log('bad', `${source.name} close${source.destroyed ? ', destroyed' : ''}`)
+  })
+
+  const iterate = async () => {
+    for await (const chunk of source) {
+      loop.chunk = chunk
+      tracer.record(loop.name, 'iteration', { id: loop.completeId + 1 })
+      output.log('write', `Loop iteration #${loop.completeId + 1} got ${loop.getBufferSize()} ${loop.bufferUnit}`)
+      if (loop.completeId + 1 === config.loopErrorAt) {
+        output.log('fault', `Loop iteration #${config.loopErrorAt} throws`)
+        throw new Error('Test loop error')
+      }
+      await new Promise((resolve) => clock.setTimeout(resolve, config.writeInterval))
+      loop.chunk = null
+      loop.completeId++
+      tracer.record(loop.name, 'iteration-complete', { id: loop.completeId })
+    }
+  }
+
+  iterate().then(() => {
+    output.log('bad', 'Loop done')
+  }, (err) => {
+    output.error('bad', `Loop threw: ${err.message}`)
+    loop.chunk = null
+    tracer.record(loop.name, 'iteration-error', { message: err.message })
+  })
+
+  return { clock, source, loop, tracer }
+}
+
+module.exports = {
+  DEFAULTS,
+  VARIANTS,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
@@ -1,16 +1,16 @@
 'use strict'
 
-const stream = require('stream')
-const chalk = require('chalk')
-
-const READ_COUNT = 10 // the number of times Source._read can be called before it pushes null
-const READ_INTERVAL = 100 // ms
-const WRITE_INTERVAL = 250 // ms
-const SOURCE_HIGH_WATER_MARK = 100 // bytes
-const SINK_HIGH_WATER_MARK = 100 // bytes
-const BUFFER_POLL_INTERVAL = 10 // ms
-const CHUNK_DATA = 'abcdefghijklmnopqrstuvwxy'
-const CHUNK_BYTES = CHUNK_DATA.length
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  readCount: 10, // the number of times Source._read can be called before it pushes null
+  readInterval: 100, // ms
+  writeInterval: 250, // ms
+  sourceHighWaterMark: 100, // bytes
+  sinkHighWaterMark: 100, // bytes
+  chunkData: instrumentation.defaults.CHUNK_DATA
+}
 
 /*
 
@@ -47,166 +47,82 @@ const CHUNK_BYTES = CHUNK_DATA.length
 
 */
 
-let source
-let sink
-
-/*
-function bufferChanged(stream) {
-  const changed = stream.getBufferLength() !== stream.bufferLength
-  if (changed) {
-    stream.bufferLength = stream.getBufferLength()
+function run(options) {
+  const config = Object.assign({}, DEFAULTS, options)
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {})
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const source = new instrumentation.Source({
+    highWaterMark: config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    faults: faults.source,
+    clock
+  })
+  source.setEncoding('utf8')
+
+  const sink = new instrumentation.Sink({
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    chunkData: config.chunkData,
+    faults: faults.sink,
+    clock
+  })
+
+  const tracer = new instrumentation.Tracer({ clock })
+  tracer.attach(source)
+  tracer.attach(sink)
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
   }
-  return changed
-}
-
-function monitorBuffers(source, sink) {
-  return setInterval(() => {
-    if (bufferChanged(sink) || bufferChanged(source)) {
-      printBuffers(source, sink)
+  instrumentation.monitorBuffers(tracer, [source, sink])
+  instrumentation.monitorFaults(tracer, [source, sink])
+  instrumentation.monitorMetrics(tracer, sink, source)
+
+  source.on('push', (push) => {
+    output.log('push', `Source._push #${push.id} response: ${push.response}`)
+    if (push.response === false) {
+      if (push.data !== null) {
+        clock.setTimeout(() => {
+          output.log('bad', 'Source buffer full, reading paused')
+        }, 10)
+      } else {
+        output.log('bad', 'Source pushed null, no more data coming from readstream')
+      }
     }
-  }, BUFFER_POLL_INTERVAL)
-}
-*/
+  })
 
-function printNewline() {
-  process.stdout.write('\n')
-}
+  source.on('end', () => {
+    output.log('bad', 'Source end')
+  })
 
-function printGap(gapLength) {
-  process.stdout.write(Array(gapLength).fill(' ').join(''))
-}
-
-function printBuffers(source, sink) {
-  const GAP_LENGTH = 20
-  // bufferCapacity, bufferLength, prefix
-  printNewline()
-  console.log(`Source Buffer (${source.getBufferLength()})                    Sink Buffer (${sink.getBufferLength()})                    Completed chunks`)
-  printBufferBorder(source.bufferCapacity)
-  printGap(GAP_LENGTH)
-  printBufferBorder(sink.bufferCapacity)
-  printNewline()
-  printBufferContents(source)
-  printGap(GAP_LENGTH)
-  printBufferContents(sink)
-  printGap(GAP_LENGTH)
-  process.stdout.write(chalk.green(`          ${sink.completeId}`))
-  printNewline()
-  printBufferBorder(source.bufferCapacity)
-  printGap(GAP_LENGTH)
-  printBufferBorder(sink.bufferCapacity)
-  printNewline()
-  printNewline()
-}
-
-function printBufferContents(stream) {
-  const bufferContentsArray = Array(Math.floor(stream.bufferCapacity) * 3).fill(' ', 0)
-  process.stdout.write('|')
-  if (stream.getBufferLength()) {
-    bufferContentsArray.fill('/', 0, stream.getBufferLength() * 3)
-  }
-  process.stdout.write(chalk.green(bufferContentsArray.join('')))
-  process.stdout.write('|')
-}
-
-function printBufferBorder(bufferCapacity) {
-  process.stdout.write(Array(bufferCapacity * 3 + 2).fill('-', 0).join(''))
-}
+  sink.on('drain', () => {
+    output.log('good', 'Sink drain event')
+  })
 
-class Source extends stream.Readable {
-  constructor(options) {
-    super(options)
-    this.count = 0
-    this.pushCount = 0
-    this.bufferLength = 0
-    this.bufferCapacity = SOURCE_HIGH_WATER_MARK / CHUNK_BYTES
-  }
+  sink.on('finish', () => {
+    output.log('bad', 'Sink finish')
+  })
 
+  source.on('error', () => {
+    output.error('bad', 'Source error')
+  })
 
+  sink.on('error', () => {
+    output.error('bad', 'Sink error')
+  })
 
-  getBufferLength() {
-    return this._readableState.buffer.length
-  }
+  source.pipe(sink)
 
-  _read(size) {
-    this.count++
-    //console.log(chalk.white.bgBlue(`Source._read #${this.count} starting`))
-    setTimeout(() => {
-      // chunk is 25 chars, 50 bytes in memory but only 25 bytes when transmitted as a buffer?
-      let data = this.count > READ_COUNT ? null : CHUNK_DATA
-      this.pushCount++
-      // console.log(chalk.black.bgCyan(`About to call Source._push #${this.pushCount}`))
-      const writeResponse = this.push(data)
-      printBuffers(this, sink)
-      console.log(chalk.black.bgCyan(`Source._push #${this.pushCount} response: ${writeResponse}`))
-      if (writeResponse === false) {
-        if (data !== null) {
-          setTimeout(() => {
-            console.log(chalk.bold.white.bgRed('Source buffer full, reading paused'))
-          }, 10)
-        } else {
-          console.log(chalk.bold.white.bgRed('Source pushed null, no more data coming from readstream'))
-        }
-      }
-    }, READ_INTERVAL)
-  }
+  return { clock, source, sink, tracer }
 }
 
-source = new Source({
-  encoding: 'utf8',
-  highWaterMark: SOURCE_HIGH_WATER_MARK
-
-})
-source.setEncoding('utf8')
-source.on('end', () => {
-  console.log(chalk.bold.white.bgRed('Source end'))
-})
-
-class Sink extends stream.Writable {
-  constructor(options) {
-    super(options)
-    this.writeId = 0
-    this.completeId = 0
-    this.bufferCapacity = SINK_HIGH_WATER_MARK / CHUNK_BYTES
-    this.bufferLength = 0
-    this.isWriting = false
-  }
-
-  getBufferLength() {
-    const bufferLength = this._writableState.getBuffer().length
-    const writingBuffer = this.isWriting ? 1 : 0
-    return bufferLength + writingBuffer
-  }
-
-  _write(chunk, enc, cb) {
-    this.isWriting = true
-    this.writeId++
-    //console.log(chalk.black.bgYellow(`Sink._write #${this.writeId} started`))
-    setTimeout(() => {
-      this.completeId++
-      //console.log(chalk.inverse(`Sink._write #${this.completeId} completed`))
-      this.isWriting = false
-      printBuffers(source, this)
-      cb()
-    }, WRITE_INTERVAL)
-  }
+module.exports = {
+  DEFAULTS,
+  run
 }
 
-sink = new Sink({
-  decodeStrings: false,
-  highWaterMark: SINK_HIGH_WATER_MARK
-})
-
-
-sink.setDefaultEncoding('utf8')
-
-sink.on('drain', () => {
-  console.log(chalk.black.bgGreen('Sink drain event'))
-})
-
-sink.on('finish', () => {
-  console.log(chalk.bold.white.bgRed('Sink finish'))
-})
-
-
-
-source.pipe(sink)
+if (require.main === module) {
+  run()
+}
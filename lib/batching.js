@@ -0,0 +1,149 @@
+'use strict'
+
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  variant: 'writev',
+  readCount: 8, // the number of bursts each source makes before it pushes null
+  readInterval: 300, // ms
+  burstSize: 4, // chunks each source pushes at once
+  writeInterval: 200, // ms, for one chunk in Sink and for a whole batch in BatchSink
+  sourceHighWaterMark: 100, // bytes
+  sinkHighWaterMark: 100, // bytes
+  chunkData: instrumentation.defaults.CHUNK_DATA
+}
+
+// How each source's chunks reach its sink.
+const VARIANTS = {
+  writev: {}, // pipe
+  cork: {} // a 'data' handler that corks the sink for each burst and uncorks it on the next tick
+}
+
+/*
+  Two pipelines side by side on the same clock, each from a Source pushing `burstSize` chunks at a time: one into
+  Sink, which only has _write and writes one chunk per call, and one into BatchSink, which also has _writev and
+  writes every chunk queued in one call, taking as long as Sink does for one. At the end the two sinks' write calls
+  and throughput are compared.
+
+  1. writev: the first chunk of a burst finds BatchSink idle and goes to _write on its own. The rest of the burst
+     queues behind it, and when it completes they all go in one _writev: BatchSink's buffer empties in one step, and
+     its completed chunks jump by the size of the batch. Sink takes a call per chunk, falls behind the bursts, and
+     pauses its source for most of the run.
+  2. cork: cork() holds every write in the buffer until uncork(), so the whole burst queues, the first chunk too, and
+     goes in a single _writev. Uncorking on the next tick lets everything written in the same tick join the batch.
+     Sink gets nothing from it: uncork writes the chunks it held one call at a time, as Sink can't take them any
+     other way.
+*/
+
+function run(options) {
+  const variant = (options && options.variant) || DEFAULTS.variant
+  if (!VARIANTS[variant]) {
+    throw new Error(`Unknown variant "${variant}", expected one of ${Object.keys(VARIANTS).join(', ')}`)
+  }
+  const config = Object.assign({}, DEFAULTS, VARIANTS[variant], options)
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const pipelines = [
+    ['Single source', instrumentation.Sink],
+    ['Batch source', instrumentation.BatchSink]
+  ].map((pipeline) => {
+    const source = new instrumentation.Source({
+      name: pipeline[0],
+      highWaterMark: config.sourceHighWaterMark,
+      readCount: config.readCount,
+      readInterval: config.readInterval,
+      burstSize: config.burstSize,
+      chunkData: config.chunkData,
+      clock
+    })
+    source.setEncoding('utf8')
+    const sink = new pipeline[1]({
+      highWaterMark: config.sinkHighWaterMark,
+      writeInterval: config.writeInterval,
+      chunkData: config.chunkData,
+      clock
+    })
+    return { source, sink }
+  })
+  const sources = pipelines.map((pipeline) => pipeline.source)
+  const sinks = pipelines.map((pipeline) => pipeline.sink)
+
+  const tracer = new instrumentation.Tracer({ clock })
+  pipelines.forEach((pipeline) => {
+    tracer.attach(pipeline.source)
+    tracer.attach(pipeline.sink)
+  })
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+  // a drawing per pipeline, each with the chunks its own sink has completed
+  pipelines.forEach((pipeline) => instrumentation.monitorBuffers(tracer, [pipeline.source, pipeline.sink]))
+  pipelines.forEach((pipeline) => instrumentation.monitorMetrics(tracer, pipeline.sink, pipeline.source))
+  const summaries = []
+
+  pipelines.forEach((pipeline, i) => {
+    const source = pipeline.source
+    const sink = pipeline.sink
+    const tracked = instrumentation.trackMetrics(tracer, sink, source)
+
+    sink.on('writev', (batch) => {
+      output.log('write', `${sink.name}._writev #${batch.id} writing ${batch.chunks.length} chunks at once`)
+    })
+
+    sink.on('drain', () => {
+      output.log('good', `${sink.name} drain event`)
+    })
+
+    sink.on('finish', () => {
+      output.log('bad', `${sink.name} finish`)
+      // taken now, as the throughput is over the time up to the last event
+      summaries[i] = tracked.summary()
+      tracked.stop()
+      if (summaries.filter(Boolean).length === sinks.length) {
+        // after both sinks' metrics
+        clock.setTimeout(() => {
+          const lines = instrumentation.compareMetrics(summaries)
+          output.report('comparison', [output.STYLES.heading('Write calls and throughput')].concat(lines),
+            { sinks: summaries })
+        }, 0)
+      }
+    })
+
+    if (variant === 'writev') {
+      source.pipe(sink)
+      return
+    }
+
+    // The first chunk of a burst corks the sink, and the rest of the burst arrives in the same tick.
+    let corked = false
+    source.on('data', (chunk) => {
+      if (!corked) {
+        corked = true
+        sink.cork()
+        process.nextTick(() => {
+          corked = false
+          sink.uncork()
+        })
+      }
+      if (!sink.write(chunk) && !source.isPaused()) {
+        source.pause()
+        sink.once('drain', () => source.resume())
+      }
+    })
+    source.on('end', () => sink.end())
+  })
+
+  return { clock, sources, sinks, tracer }
+}
+
+module.exports = {
+  DEFAULTS,
+  VARIANTS,
+  faultable: false,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
@@ -0,0 +1,178 @@
+'use strict'
+
+const fs = require('fs')
+const perfHooks = require('perf_hooks')
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  readCount: 20000, // chunks through the pipe for each combination
+  highWaterMarks: [1024, 16384, 65536], // bytes, the same for the source and the sink
+  chunkSizes: [64, 1024, 16384], // bytes
+  objectModes: [false, true],
+  chunkData: instrumentation.defaults.CHUNK_DATA
+}
+
+const MEMORY_SAMPLE_EVERY = 100 // chunks
+const EVENT_LOOP_RESOLUTION = 1 // ms, how often the event loop delay is sampled
+
+/*
+  Runs Source -> Sink as fast as they go, with every read and write taking no time (the immediate clock), for each
+  combination of highWaterMark, chunk size and object mode, and measures:
+
+  - ops/s: chunks through the pipe per second, from the first read to the sink finishing, and the bytes per second
+    that makes
+  - heap: the most heap in use above what was in use at the start, sampled every MEMORY_SAMPLE_EVERY chunks. With
+    node --expose-gc, garbage is collected before each run.
+  - event loop delay: the mean and max from perf_hooks.monitorEventLoopDelay, less the sampling interval, which is
+    how long the pipe kept other work waiting. A run over before the first sample counts as no delay.
+
+  In object mode a highWaterMark counts objects, so the highWaterMark in bytes is turned into as many chunks of the
+  chunk size as fit in it (at least 1), to compare like with like. Each chunk is a new string (or Buffer, or object
+  holding a string) built by Source, so that cost is part of every result.
+
+  A short run before the others warms up the JIT and isn't reported.
+*/
+
+// A monitorEventLoopDelay value in ms, without the sampling interval it includes. NaN when there were no samples.
+function loopDelay(nanoseconds) {
+  return Number.isNaN(nanoseconds) ? 0 : Math.max(nanoseconds / 1e6 - EVENT_LOOP_RESOLUTION, 0)
+}
+
+function measure(combination, readCount) {
+  const objectMode = combination.objectMode
+  const highWaterMark = objectMode
+    ? Math.max(Math.floor(combination.highWaterMark / combination.chunkSize), 1)
+    : combination.highWaterMark
+  const clock = instrumentation.immediateClock
+  const source = new instrumentation.Source({
+    highWaterMark,
+    readCount,
+    readInterval: 0,
+    chunkData: combination.chunkData,
+    chunkType: objectMode ? 'object' : 'buffer',
+    chunkSizes: [combination.chunkSize],
+    clock
+  })
+  const sink = new instrumentation.Sink({ highWaterMark, objectMode, writeInterval: 0, clock })
+
+  if (global.gc) {
+    global.gc()
+  }
+  const heapAtStart = process.memoryUsage().heapUsed
+  let heapHighWater = heapAtStart
+  const delay = perfHooks.monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION })
+  sink.on('written', (written) => {
+    if (written.id % MEMORY_SAMPLE_EVERY === 0) {
+      heapHighWater = Math.max(heapHighWater, process.memoryUsage().heapUsed)
+    }
+  })
+
+  return new Promise((resolve, reject) => {
+    const start = perfHooks.performance.now()
+    delay.enable()
+    source.on('error', reject)
+    sink.on('error', reject)
+    sink.on('finish', () => {
+      const seconds = (perfHooks.performance.now() - start) / 1000
+      delay.disable()
+      resolve(Object.assign({}, combination, {
+        streamHighWaterMark: highWaterMark,
+        chunks: sink.completeId,
+        opsPerSecond: Math.round(sink.completeId / seconds),
+        bytesPerSecond: Math.round(sink.completeId * combination.chunkSize / seconds),
+        heapHighWater: Math.max(heapHighWater, process.memoryUsage().heapUsed) - heapAtStart,
+        eventLoopDelayMean: loopDelay(delay.mean),
+        eventLoopDelayMax: loopDelay(delay.max)
+      }))
+    })
+    source.pipe(sink)
+  })
+}
+
+// Every combination of the options' highWaterMarks, chunk sizes and object modes.
+function combinations(config) {
+  const result = []
+  config.objectModes.forEach((objectMode) => {
+    config.highWaterMarks.forEach((highWaterMark) => {
+      config.chunkSizes.forEach((chunkSize) => {
+        result.push({ objectMode, highWaterMark, chunkSize, chunkData: config.chunkData })
+      })
+    })
+  })
+  return result
+}
+
+// Measures each combination in turn, calling `progress` with each result. Resolves with all of them.
+function runBenchmark(options, progress) {
+  const config = Object.assign({}, DEFAULTS, options)
+  const results = []
+  const all = combinations(config)
+  return all.reduce((previous, combination) => {
+    return previous.then(() => measure(combination, config.readCount)).then((result) => {
+      results.push(result)
+      if (progress) {
+        progress(result)
+      }
+    })
+  }, measure(all[0], Math.ceil(config.readCount / 10))).then(() => results)
+}
+
+const COLUMNS = [
+  ['objectMode', (result) => String(result.objectMode)],
+  ['highWaterMark', (result) => `${result.highWaterMark}` +
+    (result.objectMode ? ` (${result.streamHighWaterMark} object${result.streamHighWaterMark === 1 ? '' : 's'})` : '')],
+  ['chunk size', (result) => String(result.chunkSize)],
+  ['ops/s', (result) => String(result.opsPerSecond)],
+  ['MB/s', (result) => (result.bytesPerSecond / 1048576).toFixed(1)],
+  ['heap MB', (result) => (result.heapHighWater / 1048576).toFixed(1)],
+  ['loop delay ms mean/max', (result) => {
+    return `${result.eventLoopDelayMean.toFixed(1)}/${result.eventLoopDelayMax.toFixed(1)}`
+  }]
+]
+
+const CSV_FIELDS = ['objectMode', 'highWaterMark', 'streamHighWaterMark', 'chunkSize', 'chunks', 'opsPerSecond',
+  'bytesPerSecond', 'heapHighWater', 'eventLoopDelayMean', 'eventLoopDelayMax']
+
+function formatTable(results) {
+  const rows = results.map((result) => COLUMNS.map((column) => column[1](result)))
+  const widths = COLUMNS.map((column, i) => Math.max(column[0].length, ...rows.map((row) => row[i].length)))
+  const format = (cells) => {
+    return cells.map((cell, i) => cell + Array(widths[i] - cell.length + 1).join(' ')).join('  ').trim()
+  }
+  return [format(COLUMNS.map((column) => column[0]))].concat(rows.map(format))
+}
+
+function formatCsv(results) {
+  return [CSV_FIELDS.join(',')].concat(results.map((result) => {
+    return CSV_FIELDS.map((field) => {
+      const value = result[field]
+      return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : String(value)
+    }).join(',')
+  })).join('\n') + '\n'
+}
+
+// Runs the benchmark and prints the table, then writes the CSV to options.out, or prints it after the table.
+function benchmark(options) {
+  output.log('plain', 'Measuring...')
+  return runBenchmark(options).then((results) => {
+    const lines = formatTable(results)
+    output.report('benchmark', [output.STYLES.heading(lines[0])].concat(lines.slice(1)), { results })
+    const csv = formatCsv(results)
+    if (options.out) {
+      fs.writeFileSync(options.out, csv)
+      output.log('plain', `CSV written to ${options.out}`)
+    } else {
+      output.log('plain', csv)
+    }
+    return results
+  })
+}
+
+module.exports = {
+  DEFAULTS,
+  runBenchmark,
+  formatTable,
+  formatCsv,
+  benchmark
+}
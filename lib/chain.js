@@ -0,0 +1,127 @@
+'use strict'
+
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  readCount: 20, // the number of times Source._read can be called before it pushes null
+  readInterval: 50, // ms
+  fastInterval: 10, // ms, the fast transform
+  linkInterval: 20, // ms, the latency of the duplex link
+  transformInterval: 300, // ms, the slow stage
+  writeInterval: 100, // ms
+  sourceHighWaterMark: 100, // bytes
+  transformHighWaterMark: 50, // bytes, for each side of each transform and of the link
+  sinkHighWaterMark: 100, // bytes
+  chunkData: instrumentation.defaults.CHUNK_DATA
+}
+
+/*
+  source -> fast transform -> duplex link -> slow transform -> sink
+
+  Each stage only sees backpressure from the stage directly after it, so the chain fills up from the slow stage
+  backwards:
+  1. The slow transform is the bottleneck. Chunks pile up in front of it, first in its own writable side and then
+  in the readable side of the link.
+  2. The sink after the slow stage never fills; it is starved rather than backed up.
+  3. The link is a Duplex, whose two sides Node.js doesn't couple the way it does a Transform's. Once its readable
+  side is full, push returns false and the link holds the write callback until the slow stage reads from it, so its
+  writable side fills next, then the fast transform.
+  4. Once the fast transform is full, the source stops being piped from, and its buffer fills until push returns
+  false. Only then does the source stop reading.
+*/
+
+function run(options) {
+  const config = Object.assign({}, DEFAULTS, options)
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {})
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const source = new instrumentation.Source({
+    highWaterMark: config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    faults: faults.source,
+    clock
+  })
+  source.setEncoding('utf8')
+
+  const fast = new instrumentation.Transform({
+    name: 'Fast',
+    highWaterMark: config.transformHighWaterMark,
+    transformInterval: config.fastInterval,
+    chunkData: config.chunkData,
+    clock
+  })
+
+  const link = new instrumentation.Duplex({
+    name: 'Link',
+    highWaterMark: config.transformHighWaterMark,
+    writeInterval: config.linkInterval,
+    chunkData: config.chunkData,
+    clock
+  })
+
+  const slow = new instrumentation.Transform({
+    name: 'Slow',
+    highWaterMark: config.transformHighWaterMark,
+    transformInterval: config.transformInterval,
+    chunkData: config.chunkData,
+    clock
+  })
+
+  const sink = new instrumentation.Sink({
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    chunkData: config.chunkData,
+    faults: faults.sink,
+    clock
+  })
+
+  const stages = [source, fast, link, slow, sink]
+  const tracer = new instrumentation.Tracer({ clock })
+  stages.forEach((stage) => tracer.attach(stage))
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+  instrumentation.monitorBuffers(tracer, stages)
+  instrumentation.monitorFaults(tracer, stages)
+  instrumentation.monitorMetrics(tracer, sink, source)
+
+  source.on('push', (push) => {
+    output.log('push', `Source._push #${push.id} response: ${push.response}`)
+  })
+
+  source.on('end', () => {
+    output.log('bad', 'Source end')
+  })
+
+  sink.on('drain', () => {
+    output.log('good', 'Sink drain event')
+  })
+
+  sink.on('finish', () => {
+    output.log('bad', 'Sink finish')
+  })
+
+  source.on('error', () => {
+    output.error('bad', 'Source error')
+  })
+
+  sink.on('error', () => {
+    output.error('bad', 'Sink error')
+  })
+
+  source.pipe(fast).pipe(link).pipe(slow).pipe(sink)
+
+  return { clock, source, fast, link, slow, sink, tracer }
+}
+
+module.exports = {
+  DEFAULTS,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
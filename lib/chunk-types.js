@@ -0,0 +1,103 @@
+'use strict'
+
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  readCount: 10, // the number of times Source._read can be called before it pushes null
+  readInterval: 100, // ms
+  writeInterval: 250, // ms
+  sourceHighWaterMark: 100, // bytes
+  sinkHighWaterMark: 100, // bytes
+  objectHighWaterMark: 4, // objects, for both streams when chunkType is 'object'
+  chunkData: instrumentation.defaults.CHUNK_DATA,
+  chunkType: 'buffer', // 'string', 'buffer' or 'object'
+  chunkSizes: [10, 60, 25, 5, 40] // characters, cycled through
+}
+
+/*
+  The same pipe as the backpressure example, with chunks that aren't all 25 characters long.
+
+  The highWaterMark is not a number of chunks. For strings and Buffers it is a number of bytes (characters, for
+  strings), so a few big chunks fill a buffer as quickly as many small ones:
+  1. push returns false as soon as the bytes buffered reach the highWaterMark, however many chunks that is.
+  2. A single chunk bigger than the highWaterMark is still accepted whole, and leaves the buffer over its limit.
+  3. write returns false once the bytes queued, including the chunk being written, reach the highWaterMark.
+
+  In object mode the highWaterMark counts objects instead, and the size of each object doesn't matter.
+*/
+
+function run(options) {
+  const config = Object.assign({}, DEFAULTS, options)
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {})
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+  const objectMode = config.chunkType === 'object'
+
+  const source = new instrumentation.Source({
+    highWaterMark: objectMode ? config.objectHighWaterMark : config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    chunkType: config.chunkType,
+    chunkSizes: config.chunkSizes,
+    faults: faults.source,
+    clock
+  })
+
+  const sink = new instrumentation.Sink({
+    highWaterMark: objectMode ? config.objectHighWaterMark : config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    chunkData: config.chunkData,
+    objectMode,
+    faults: faults.sink,
+    clock
+  })
+
+  const tracer = new instrumentation.Tracer({ clock })
+  tracer.attach(source)
+  tracer.attach(sink)
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+  instrumentation.monitorBuffers(tracer, [source, sink])
+  instrumentation.monitorFaults(tracer, [source, sink])
+  instrumentation.monitorMetrics(tracer, sink, source)
+
+  source.on('push', (push) => {
+    const size = push.data === null ? 'null' : objectMode ? `object #${push.data.id}` : `${push.data.length} bytes`
+    output.log('push', `Source._push #${push.id} (${size}) response: ${push.response}`)
+  })
+
+  source.on('end', () => {
+    output.log('bad', 'Source end')
+  })
+
+  sink.on('drain', () => {
+    output.log('good', 'Sink drain event')
+  })
+
+  sink.on('finish', () => {
+    output.log('bad', 'Sink finish')
+  })
+
+  source.on('error', () => {
+    output.error('bad', 'Source error')
+  })
+
+  sink.on('error', () => {
+    output.error('bad', 'Sink error')
+  })
+
+  source.pipe(sink)
+
+  return { clock, source, sink, tracer }
+}
+
+module.exports = {
+  DEFAULTS,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
@@ -0,0 +1,434 @@
+'use strict'
+
+const fs = require('fs')
+const stream = require('stream')
+const instrumentation = require('./instrumentation')
+const scenarios = require('./scenarios')
+const fingerprint = require('./fingerprint')
+const dashboard = require('./dashboard')
+const tui = require('./tui')
+const benchmark = require('./benchmark')
+const diagram = require('./diagram')
+
+// flag name -> [option name, parser]. Flags without a parser take no value and set the option to true.
+const FLAGS = {
+  '--read-count': ['readCount', parseInteger],
+  '--read-interval': ['readInterval', parseInteger],
+  '--read-intervals': ['readIntervals', parseIntegerList],
+  '--write-interval': ['writeInterval', parseInteger],
+  '--write-intervals': ['writeIntervals', parseIntegerList],
+  '--faulty-sink': ['faultySink', parseInteger],
+  '--transform-interval': ['transformInterval', parseInteger],
+  '--source-high-water-mark': ['sourceHighWaterMark', parseInteger],
+  '--sink-high-water-mark': ['sinkHighWaterMark', parseInteger],
+  '--chunk-data': ['chunkData', parseChunkData],
+  '--chunk-type': ['chunkType', parseChunkType],
+  '--chunk-sizes': ['chunkSizes', parseChunkSizes],
+  '--chunk-size': ['chunkSize', parseChunkSize],
+  '--file-size': ['fileSize', parseInteger],
+  '--variant': ['variant', parseVariant],
+  '--from': ['from', null],
+  '--loop-error-at': ['loopErrorAt', parseInteger],
+  '--strategy': ['strategy', parseStrategy],
+  '--faults': ['faults', parseFaults],
+  '--virtual-time': ['virtualTime', null],
+  '--trace': ['trace', parseFile],
+  '--speed': ['speed', parseSpeed],
+  '--dashboard': ['dashboard', null],
+  '--tui': ['tui', null],
+  '--output': ['output', parseOutput],
+  '--port': ['port', parseInteger],
+  '--out': ['out', parseFile],
+  '--high-water-marks': ['highWaterMarks', parseChunkSizes],
+  '--object-mode': ['objectModes', parseObjectMode],
+  '--overflow-multiple': ['overflowMultiple', parseMultiple],
+  '--format': ['format', parseFormat],
+  '--read-size': ['readSize', parseChunkSize],
+  '--switch-at': ['switchAt', parseInteger],
+  '--burst-size': ['burstSize', parseChunkSize]
+}
+
+// Commands other than running an example: name -> [number of file arguments, handler]
+const COMMANDS = {
+  replay: [1, replay],
+  fingerprint: [0, writeFingerprint],
+  compare: [2, compareFingerprints],
+  benchmark: [0, runBenchmark],
+  diagram: [1, writeDiagram],
+  probes: [0, printProbes]
+}
+
+const USAGE = `Usage: stream-examples <example> [options]
+       stream-examples replay <trace file> [--speed <n>]
+       stream-examples fingerprint [--out <file>]
+       stream-examples benchmark [--high-water-marks <n,n,...>] [--chunk-sizes <n,n,...>] [--object-mode <mode>]
+       stream-examples compare <fingerprint file> <fingerprint file>
+       stream-examples diagram <trace file> [--format <format>] [--out <file>]
+       stream-examples probes
+
+Examples:
+  ${Object.keys(scenarios).join(', ')}
+
+Options:
+  --read-count <n>               number of chunks the source pushes before it pushes null
+  --read-interval <ms>           time the source takes to produce each chunk
+  --read-intervals <ms,ms,...>   one source per read interval (fan-in only)
+  --write-interval <ms>          time the sink takes to write each chunk
+  --write-intervals <ms,ms,...>  one sink per write interval (fan-out only)
+  --faulty-sink <n>              the sink the sink faults are for, counting from 1, 0 for none (fan-out only)
+  --transform-interval <ms>      time the slow transform takes per chunk (chain and real-io file only)
+  --source-high-water-mark <n>   source highWaterMark, in bytes
+  --sink-high-water-mark <n>     sink highWaterMark, in bytes
+  --chunk-data <string>          the chunk the source pushes
+  --chunk-type <type>            string, buffer or object (chunk-types only)
+  --chunk-sizes <n,n,...>        chunk sizes to cycle through, in characters (chunk-types and benchmark)
+  --chunk-size <n>               size of the chunks the source pushes, in bytes (real-io only)
+  --file-size <n>                size of the file the file variant reads, in bytes (real-io only)
+  --variant <name>               backpressure, errors or flowing (async-iteration and web-streams);
+                                 file, socket, zlib or child (real-io); write, push or drain (ignored-backpressure);
+                                 readable, data or mixed (paused-mode); writev or cork (batching)
+  --from                         iterate Readable.from() over an async generator (async-iteration only)
+  --loop-error-at <n>            the iteration that throws out of the for await loop (async-iteration only)
+  --strategy <name>              bytes or count queuing strategy (web-streams only)
+  --faults <file>                JSON fault plan, { "source": [{ "type", "at" }], "sink": [...] }
+  --virtual-time                 simulate time: no waiting, and the same output every run
+  --trace <file>                 write every stream event to a JSON Lines trace
+  --scenario <file>              JSON file of options; flags given on the command line win
+  --speed <n>                    replay, dashboard or terminal UI speed, 2 is twice as fast, 0 replays without waiting
+  --dashboard                    serve a page showing the example as it runs, paused to start with
+  --tui                          show the example full-screen in the terminal, paused to start with
+  --output <mode>                color, plain or json; color if stdout is a terminal, plain otherwise
+  --port <n>                     the dashboard's port, 8080 by default
+  --out <file>                   where to write the fingerprint, benchmark CSV or diagram, instead of stdout
+  --format <format>              mermaid, plantuml or svg: what diagram draws a trace as, mermaid by default
+  --high-water-marks <n,n,...>   highWaterMarks to benchmark, in bytes (benchmark only)
+  --object-mode <mode>           off, on or both: object mode settings to benchmark (benchmark only)
+  --read-size <n>                the size each read(size) asks for, in bytes (paused-mode only)
+  --switch-at <n>                reads before switching from 'readable' to 'data' (paused-mode mixed only)
+  --burst-size <n>               chunks the source pushes at once (batching only)
+  --overflow-multiple <n>        times its highWaterMark a buffer can grow to before a warning (ignored-backpressure)
+  -h, --help                     show this message
+`
+
+function parseInteger(value, flag) {
+  const number = Number(value)
+  if (value === undefined || !Number.isInteger(number) || number < 0) {
+    throw new Error(`${flag} expects a non-negative integer, got ${value}`)
+  }
+  return number
+}
+
+function parseSpeed(value, flag) {
+  const number = Number(value)
+  if (value === undefined || Number.isNaN(number) || number < 0) {
+    throw new Error(`${flag} expects a non-negative number, got ${value}`)
+  }
+  return number
+}
+
+function parseFile(value, flag) {
+  if (!value) {
+    throw new Error(`${flag} expects a file name`)
+  }
+  return value
+}
+
+// A fault plan is read from a file given as a flag, or given inline in a scenario file.
+function parseFaults(value, flag) {
+  let plan = value
+  if (typeof value !== 'object') {
+    const file = parseFile(value, flag)
+    try {
+      plan = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (err) {
+      throw new Error(`Could not read fault plan ${file}: ${err.message}`)
+    }
+  }
+  return instrumentation.faults.validateFaultPlan(plan)
+}
+
+function parseChunkType(value, flag) {
+  if (['string', 'buffer', 'object'].indexOf(value) === -1) {
+    throw new Error(`${flag} expects string, buffer or object, got ${value}`)
+  }
+  return value
+}
+
+// Lists are given comma-separated on the command line, or as an array in a scenario file.
+function parseIntegerList(value, flag) {
+  const values = Array.isArray(value) ? value : String(value).split(',')
+  return values.map((item) => parseInteger(item, flag))
+}
+
+function parseChunkSizes(value, flag) {
+  const sizes = parseIntegerList(value, flag)
+  if (sizes.indexOf(0) !== -1) {
+    throw new Error(`${flag} expects sizes of at least 1`)
+  }
+  return sizes
+}
+
+function parseChunkSize(value, flag) {
+  const size = parseInteger(value, flag)
+  if (size === 0) {
+    throw new Error(`${flag} expects a size of at least 1`)
+  }
+  return size
+}
+
+function parseMultiple(value, flag) {
+  const number = Number(value)
+  if (value === undefined || Number.isNaN(number) || number < 1) {
+    throw new Error(`${flag} expects a number of at least 1, got ${value}`)
+  }
+  return number
+}
+
+function parseObjectMode(value, flag) {
+  const modes = { off: [false], on: [true], both: [false, true] }
+  if (!modes[value]) {
+    throw new Error(`${flag} expects off, on or both, got ${value}`)
+  }
+  return modes[value]
+}
+
+// Any example's variant; validateArgs checks it is one of the chosen example's.
+function parseVariant(value, flag) {
+  const variants = []
+  Object.keys(scenarios).forEach((name) => {
+    Object.keys(scenarios[name].VARIANTS || {}).forEach((variant) => {
+      if (variants.indexOf(variant) === -1) {
+        variants.push(variant)
+      }
+    })
+  })
+  if (variants.indexOf(value) === -1) {
+    throw new Error(`${flag} expects one of ${variants.join(', ')}, got ${value}`)
+  }
+  return value
+}
+
+function parseStrategy(value, flag) {
+  if (value !== 'bytes' && value !== 'count') {
+    throw new Error(`${flag} expects bytes or count, got ${value}`)
+  }
+  return value
+}
+
+function parseOutput(value, flag) {
+  if (instrumentation.output.MODES.indexOf(value) === -1) {
+    throw new Error(`${flag} expects ${instrumentation.output.MODES.join(', ')}, got ${value}`)
+  }
+  return value
+}
+
+function parseFormat(value, flag) {
+  if (diagram.FORMATS.indexOf(value) === -1) {
+    throw new Error(`${flag} expects ${diagram.FORMATS.join(', ')}, got ${value}`)
+  }
+  return value
+}
+
+function parseChunkData(value, flag) {
+  if (!value || typeof value !== 'string') {
+    throw new Error(`${flag} expects a non-empty string`)
+  }
+  return value
+}
+
+// Reads a scenario file. It may name the example to run, plus any of the options the flags set.
+function readScenarioFile(file) {
+  let scenario
+  try {
+    scenario = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new Error(`Could not read scenario file ${file}: ${err.message}`)
+  }
+  const options = {}
+  Object.keys(scenario).forEach((key) => {
+    if (key === 'example') {
+      return
+    }
+    const flag = Object.keys(FLAGS).find((name) => FLAGS[name][0] === key)
+    if (!flag) {
+      throw new Error(`Unknown option "${key}" in scenario file ${file}`)
+    }
+    const parse = FLAGS[flag][1]
+    options[key] = parse ? parse(scenario[key], key) : Boolean(scenario[key])
+  })
+  return { example: scenario.example, options }
+}
+
+// Turns the arguments after the program name into { help, example, files, options }. `example` is the example or
+// command to run, and `files` any arguments after it.
+function parseArgs(argv) {
+  const args = { help: false, example: undefined, files: [], options: {} }
+  const positionals = []
+  const flagOptions = {}
+  let fileOptions = {}
+  let fileExample
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '-h' || arg === '--help') {
+      args.help = true
+    } else if (arg === '--scenario') {
+      const scenario = readScenarioFile(argv[++i])
+      fileOptions = scenario.options
+      fileExample = scenario.example
+    } else if (FLAGS[arg]) {
+      const parse = FLAGS[arg][1]
+      flagOptions[FLAGS[arg][0]] = parse ? parse(argv[++i], arg) : true
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`)
+    } else {
+      positionals.push(arg)
+    }
+  }
+  args.example = positionals.length ? positionals[0] : fileExample
+  args.files = positionals.slice(1)
+  args.options = Object.assign(fileOptions, flagOptions)
+  return args
+}
+
+// Checks there is something to run, with the right number of file arguments.
+function validateArgs(args) {
+  const command = COMMANDS[args.example]
+  if (command) {
+    if (args.files.length !== command[0]) {
+      throw new Error(`${args.example} expects ${command[0]} file argument(s), got ${args.files.length}`)
+    }
+  } else if (!scenarios[args.example]) {
+    throw new Error(args.example ? `Unknown example "${args.example}"` : 'No example given')
+  } else if (args.files.length) {
+    throw new Error(`Unexpected argument ${args.files[0]}`)
+  } else if (args.options.faults !== undefined && scenarios[args.example].faultable === false) {
+    throw new Error(`${args.example} doesn't take a fault plan`)
+  } else if (args.options.variant !== undefined) {
+    const variants = Object.keys(scenarios[args.example].VARIANTS || {})
+    if (variants.indexOf(args.options.variant) === -1) {
+      throw new Error(variants.length
+        ? `${args.example} has the variants ${variants.join(', ')}, not ${args.options.variant}`
+        : `${args.example} has no variants`)
+    }
+  }
+}
+
+function main(argv) {
+  let args
+  try {
+    args = parseArgs(argv)
+    if (!args.help) {
+      validateArgs(args)
+    }
+  } catch (err) {
+    console.error(err.message)
+    console.error()
+    console.error(USAGE)
+    process.exitCode = 1
+    return
+  }
+  if (args.help) {
+    console.log(USAGE)
+    return
+  }
+  instrumentation.output.use(args.options.output)
+  if (COMMANDS[args.example]) {
+    try {
+      return COMMANDS[args.example][1](args.files, args.options)
+    } catch (err) {
+      console.error(err.message)
+      process.exitCode = 1
+      return
+    }
+  }
+  if (args.options.dashboard) {
+    try {
+      return dashboard.serve(args.example, args.options)
+    } catch (err) {
+      console.error(err.message)
+      process.exitCode = 1
+      return
+    }
+  }
+  if (args.options.tui) {
+    try {
+      return tui.start(args.example, args.options)
+    } catch (err) {
+      console.error(err.message)
+      process.exitCode = 1
+      return
+    }
+  }
+  try {
+    return scenarios[args.example].run(args.options)
+  } catch (err) {
+    console.error(err.message)
+    process.exitCode = 1
+  }
+}
+
+function replay(files, options) {
+  instrumentation.replayTrace(instrumentation.readTrace(files[0]), { speed: options.speed })
+}
+
+function writeFingerprint(files, options) {
+  const names = Object.keys(scenarios).filter((name) => {
+    return scenarios[name].traceable !== false && !scenarios[name].realTime
+  })
+  const json = JSON.stringify(fingerprint.fingerprintScenarios(names), null, 2) + '\n'
+  if (options.out) {
+    fs.writeFileSync(options.out, json)
+  } else {
+    process.stdout.write(json)
+  }
+}
+
+function runBenchmark(files, options) {
+  return benchmark.benchmark(options).catch((err) => {
+    console.error(err.message)
+    process.exitCode = 1
+  })
+}
+
+function writeDiagram(files, options) {
+  const text = diagram.renderDiagram(instrumentation.readTrace(files[0]), options.format)
+  if (options.out) {
+    fs.writeFileSync(options.out, text)
+  } else {
+    process.stdout.write(text)
+  }
+}
+
+// Lists how each piece of stream state is read on this Node.js version: through public API, or internals.
+function printProbes() {
+  const sides = {
+    Readable: new stream.Readable({ read() {} }),
+    Writable: new stream.Writable({ write(chunk, encoding, cb) { cb() } })
+  }
+  const data = { node: process.version, streams: {} }
+  const lines = [instrumentation.output.STYLES.heading(`Stream state probes on Node.js ${process.version}`)]
+  Object.keys(sides).forEach((name) => {
+    const probes = instrumentation.state.describeProbes(sides[name])
+    const widths = ['property', 'probe'].map((key) => Math.max(...probes.map((entry) => entry[key].length)) + 2)
+    data.streams[name] = probes
+    lines.push('', name)
+    probes.forEach((entry) => {
+      lines.push(`  ${entry.property.padEnd(widths[0])}${entry.probe.padEnd(widths[1])}` +
+        (entry.public ? 'public' : 'internal'))
+    })
+  })
+  instrumentation.output.report('probes', lines, data)
+}
+
+function compareFingerprints(files) {
+  const differences = fingerprint.printComparison(fingerprint.readFingerprint(files[0]),
+    fingerprint.readFingerprint(files[1]))
+  if (differences) {
+    process.exitCode = 1
+  }
+}
+
+module.exports = {
+  parseArgs,
+  main
+}
@@ -0,0 +1,148 @@
+'use strict'
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const scenarios = require('../scenarios')
+
+const PAGE = path.join(__dirname, 'page.html')
+const DEFAULT_PORT = 8080
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 0] // the page's speed choices, 0 firing each timer without waiting
+
+/*
+  Serves a page that shows an example as it runs, on http://localhost:<port>/.
+
+  The example runs on a VirtualClock slowed down to real time (or `speed`, one of SPEEDS), and starts paused. Its tracer's events
+  are sent to the page with server-sent events on /events, along with the clock's state:
+
+    event: header   { example, streams: [{ name, bufferLimit, bufferUnit, readable }] }
+    event: trace    a Tracer event
+    event: clock    { time, paused, speed, idle }
+
+  A page that connects late is sent everything so far. Events recorded while the example sets up its streams, before
+  the clock first fires, happen before the dashboard can listen and are not sent.
+
+  POST /control?action=play|pause|step|restart|speed&speed=<n> drives the clock; restart runs the example again from
+  the start.
+*/
+function serve(name, options, listening) {
+  const scenario = scenarios[name]
+  if (scenario.traceable === false) {
+    throw new Error(`The ${name} example can't be shown on the dashboard: it has no tracer to follow`)
+  }
+  if (scenario.realTime) {
+    throw new Error(`The ${name} example runs on real I/O, so it can't be paused or stepped on the dashboard`)
+  }
+  if (options.speed !== undefined && SPEEDS.indexOf(options.speed) === -1) {
+    throw new Error(`The dashboard runs at a speed of ${SPEEDS.join(', ')}, got ${options.speed}`)
+  }
+  let run = null
+  const clients = []
+
+  function send(client, event, data) {
+    client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  function broadcast(event, data) {
+    run.history.push([event, data])
+    clients.forEach((client) => send(client, event, data))
+  }
+
+  function clockState() {
+    return { time: run.clock.now(), paused: run.clock.paused, speed: run.clock.speed, idle: run.idle }
+  }
+
+  function start() {
+    if (run) {
+      run.clock.pause()
+      run.clock.removeAllListeners()
+      run.tracer.removeAllListeners('event')
+    }
+    const streams = scenario.run(Object.assign({}, options, { virtualTime: true, trace: undefined }))
+    run = { clock: streams.clock, tracer: streams.tracer, history: [], idle: false }
+    run.clock.pause()
+    run.clock.speed = options.speed === undefined ? 1 : options.speed
+    const header = {
+      example: name,
+      streams: run.tracer.streams.map((entry) => ({
+        name: entry.name,
+        bufferLimit: entry.stream.bufferLimit,
+        bufferUnit: entry.stream.bufferUnit,
+        readable: Boolean(entry.stream._readableState)
+      }))
+    }
+    clients.forEach((client) => send(client, 'reset', {}))
+    broadcast('header', header)
+    run.tracer.on('event', (event) => broadcast('trace', event))
+    run.clock.on('idle', () => {
+      run.idle = true
+      broadcast('clock', clockState())
+    })
+    broadcast('clock', clockState())
+  }
+
+  function control(query) {
+    if (query.action === 'play') {
+      run.clock.resume()
+    } else if (query.action === 'pause') {
+      run.clock.pause()
+    } else if (query.action === 'step') {
+      run.clock.step()
+    } else if (query.action === 'restart') {
+      return start()
+    } else if (query.action === 'speed' && query.speed !== '' && SPEEDS.indexOf(Number(query.speed)) !== -1) {
+      run.clock.setSpeed(Number(query.speed))
+    } else {
+      throw new Error(`Unknown control ${JSON.stringify(query)}`)
+    }
+    broadcast('clock', clockState())
+  }
+
+  const server = http.createServer((req, res) => {
+    const request = new URL(req.url, 'http://localhost')
+    if (req.method === 'GET' && request.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+      return fs.createReadStream(PAGE).pipe(res)
+    }
+    if (req.method === 'GET' && request.pathname === '/events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+      run.history.forEach((entry) => send(res, entry[0], entry[1]))
+      clients.push(res)
+      req.on('close', () => clients.splice(clients.indexOf(res), 1))
+      return
+    }
+    if (req.method === 'POST' && request.pathname === '/control') {
+      try {
+        control(Object.fromEntries(request.searchParams))
+      } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' })
+        return res.end(err.message)
+      }
+      res.writeHead(204)
+      return res.end()
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' })
+    res.end('Not found')
+  })
+
+  const port = options.port === undefined ? DEFAULT_PORT : options.port
+  server.on('error', (err) => {
+    run.clock.pause()
+    console.error(err.code === 'EADDRINUSE' ? `Port ${port} is already in use, pick another with --port` : err.message)
+    process.exitCode = 1
+  })
+  start()
+  server.listen(port, 'localhost', () => {
+    if (listening) {
+      listening(server)
+    } else {
+      console.log(`Dashboard for ${name} on http://localhost:${server.address().port}/`)
+    }
+  })
+  return server
+}
+
+module.exports = {
+  SPEEDS,
+  serve
+}
@@ -0,0 +1,308 @@
+'use strict'
+
+const PIPE = 'pipe'
+
+const FORMATS = ['mermaid', 'plantuml', 'svg']
+
+/*
+  Turns a trace, as read by readTrace, into a sequence diagram of what happened between the streams and the pipe
+  machinery: everything in Node.js that calls _read, write, pause and resume on the streams and listens for their
+  events, whether that is pipe(), pipeline() or an example's own loop.
+
+    mermaid   a Mermaid sequenceDiagram, for Markdown that renders it (GitHub, GitLab, most wikis)
+    plantuml  a PlantUML sequence diagram
+    svg       a timeline drawn here, needing nothing else to view: a lane per stream with its buffer occupancy
+              against its highWaterMark over time, and the events that matter to backpressure marked on it
+
+  In the sequence diagrams, calls are solid arrows and events dashed ones. A note marks the time whenever it moves
+  on. Each source and destination piped together get a pipe lane between them, so a diagram reads source to sink.
+*/
+
+// trace event type -> (event) => [from, to, text, dashed], where `from` and `to` are a stream name or PIPE
+const MESSAGES = {
+  read: (event) => [PIPE, event.stream, '_read()', false],
+  push: (event) => [event.stream, PIPE, `push(${event.eof ? 'null' : 'chunk'}) ${event.response}`, false],
+  data: (event) => [event.stream, PIPE, "'data'", true],
+  write: (event) => [PIPE, event.stream, `write() ${event.response}`, false],
+  'write-start': (event) => [event.stream, event.stream, '_write()', false],
+  'write-complete': (event) => {
+    return [event.stream, event.stream, `_write callback${event.message ? `: ${event.message}` : ''}`, true]
+  },
+  'writev-start': (event) => [event.stream, event.stream, `_writev(${event.chunks} chunks)`, false],
+  'writev-complete': (event) => {
+    return [event.stream, event.stream, `_writev callback${event.message ? `: ${event.message}` : ''}`, true]
+  },
+  pause: (event) => [PIPE, event.stream, 'pause()', false],
+  resume: (event) => [PIPE, event.stream, 'resume()', false],
+  pipe: (event) => [PIPE, event.stream, "'pipe'", true],
+  unpipe: (event) => [PIPE, event.stream, "'unpipe'", true],
+  drain: (event) => [event.stream, PIPE, "'drain'", true],
+  end: (event) => [event.stream, PIPE, "'end'", true],
+  finish: (event) => [event.stream, PIPE, "'finish'", true],
+  close: (event) => [event.stream, PIPE, "'close'", true],
+  error: (event) => [event.stream, PIPE, `'error': ${event.message}`, true]
+}
+
+// Event types from the writable side of a stream, drawn to and from the pipe lane it is piped into. The rest are
+// drawn to and from the lane it is piped out of.
+const WRITE_SIDE = ['write', 'drain', 'finish', 'pipe', 'unpipe']
+
+/*
+  A pipe lane for each source and destination the trace's pipe events show piped together, in the order they were
+  piped: [{ id, name, source, destination }]. A lone lane is just PIPE, as are all the pipe machinery's calls and
+  events in a trace without any, like one recorded before pipe events named their source.
+*/
+function pipeLanes(trace) {
+  const lanes = []
+  trace.events.forEach((event) => {
+    const piped = (lane) => lane.source === event.source && lane.destination === event.stream
+    if (event.type === 'pipe' && event.source && !lanes.some(piped)) {
+      lanes.push({ source: event.source, destination: event.stream })
+    }
+  })
+  lanes.forEach((lane, i) => {
+    lane.id = lanes.length === 1 ? PIPE : `${PIPE}${i}`
+    lane.name = lanes.length === 1 ? PIPE : `${PIPE} ${lane.source} to ${lane.destination}`
+  })
+  return lanes
+}
+
+/*
+  The participants and steps of a trace's sequence diagram:
+    { participants: [{ id, name }],
+      steps: [{ kind: 'message', from, to, text, dashed } | { kind: 'note', over, text } | { kind: 'time', time }] }
+  Participant ids are s0, s1... in the order of the trace header, with each pipe lane just before its destination.
+  A stream's calls and events go to the lane it is piped out of, or for its writable side the one it is piped into,
+  the first if there are several. Those of a stream piped to nothing go to a PIPE lane between the streams that only
+  read and the rest. Events with no message, like faults, are notes over their stream.
+*/
+function sequence(trace) {
+  const ids = {}
+  trace.header.streams.forEach((stream, i) => {
+    ids[stream.name] = `s${i}`
+  })
+  const lanes = pipeLanes(trace)
+  const laneOf = (event) => {
+    const into = lanes.find((lane) => lane.destination === event.stream &&
+      (!event.source || lane.source === event.source))
+    const outOf = lanes.find((lane) => lane.source === event.stream)
+    const lane = WRITE_SIDE.indexOf(event.type) !== -1 ? into || outOf : outOf || into
+    return lane ? lane.id : PIPE
+  }
+
+  const steps = []
+  let time
+  trace.events.forEach((event) => {
+    const rounded = Math.round(event.time)
+    if (rounded !== time) {
+      time = rounded
+      steps.push({ kind: 'time', time })
+    }
+    const message = MESSAGES[event.type]
+    if (message) {
+      const parts = message(event)
+      const id = (name) => name === PIPE ? laneOf(event) : ids[name]
+      steps.push({ kind: 'message', from: id(parts[0]), to: id(parts[1]), text: parts[2], dashed: parts[3] })
+    } else {
+      const detail = event.type === 'fault' ? `${event.fault} at ${event.at}` : ''
+      steps.push({ kind: 'note', over: ids[event.stream], text: `${event.type}${detail ? `: ${detail}` : ''}` })
+    }
+  })
+
+  const participants = []
+  trace.header.streams.forEach((stream) => {
+    lanes.filter((lane) => lane.destination === stream.name).forEach((lane) => {
+      participants.push({ id: lane.id, name: lane.name })
+    })
+    participants.push({ id: ids[stream.name], name: stream.name })
+  })
+  const unpiped = (step) => step.kind === 'message' && (step.from === PIPE || step.to === PIPE)
+  if (!participants.some((participant) => participant.id === PIPE) && steps.some(unpiped)) {
+    const types = (name) => trace.events.filter((event) => event.stream === name).map((event) => event.type)
+    const readOnly = trace.header.streams.map((stream) => {
+      const streamTypes = types(stream.name)
+      return streamTypes.indexOf('push') !== -1 && streamTypes.indexOf('write') === -1
+    })
+    const last = trace.header.streams[readOnly.lastIndexOf(true)]
+    const pipeAt = last ? participants.findIndex((participant) => participant.id === ids[last.name]) + 1 : 0
+    participants.splice(pipeAt, 0, { id: PIPE, name: PIPE })
+  }
+  return { participants, steps }
+}
+
+// Mermaid reads # as the start of an entity code and ; as the end of a statement.
+function mermaidText(text) {
+  return text.replace(/[#;]/g, '')
+}
+
+function toMermaid(trace) {
+  const diagram = sequence(trace)
+  const first = diagram.participants[0].id
+  const last = diagram.participants[diagram.participants.length - 1].id
+  const lines = ['sequenceDiagram']
+  diagram.participants.forEach((participant) => {
+    lines.push(`  participant ${participant.id} as ${mermaidText(participant.name)}`)
+  })
+  diagram.steps.forEach((step) => {
+    if (step.kind === 'time') {
+      lines.push(`  Note over ${first},${last}: ${step.time}ms`)
+    } else if (step.kind === 'note') {
+      lines.push(`  Note over ${step.over}: ${mermaidText(step.text)}`)
+    } else {
+      lines.push(`  ${step.from}${step.dashed ? '-->>' : '->>'}${step.to}: ${mermaidText(step.text)}`)
+    }
+  })
+  return lines.join('\n') + '\n'
+}
+
+function toPlantUml(trace) {
+  const diagram = sequence(trace)
+  const first = diagram.participants[0].id
+  const last = diagram.participants[diagram.participants.length - 1].id
+  const lines = ['@startuml']
+  diagram.participants.forEach((participant) => {
+    lines.push(`participant "${participant.name.replace(/"/g, "'")}" as ${participant.id}`)
+  })
+  diagram.steps.forEach((step) => {
+    if (step.kind === 'time') {
+      lines.push(`note over ${first}, ${last} : ${step.time}ms`)
+    } else if (step.kind === 'note') {
+      lines.push(`note over ${step.over} : ${step.text}`)
+    } else {
+      lines.push(`${step.from} ${step.dashed ? '-->' : '->'} ${step.to} : ${step.text}`)
+    }
+  })
+  lines.push('@enduml')
+  return lines.join('\n') + '\n'
+}
+
+const SVG = {
+  width: 960,
+  labelWidth: 130, // left of the lanes, for the stream names
+  laneHeight: 70,
+  laneGap: 10,
+  top: 20,
+  axisHeight: 30,
+  legendHeight: 30
+}
+
+// Event types marked on the SVG timeline: type -> [color, what the legend calls it]. Pushes are marked only when
+// they return false.
+const MARKS = {
+  push: ['#d62728', 'push returned false'],
+  drain: ['#2ca02c', "'drain'"],
+  pause: ['#ff7f0e', 'pause()'],
+  resume: ['#1f77b4', 'resume()'],
+  end: ['#444444', "'end' or 'finish'"],
+  finish: ['#444444', "'end' or 'finish'"],
+  error: ['#9467bd', "'error'"]
+}
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+// A step of 1, 2 or 5 times a power of ten that puts at most 10 ticks on an axis of `duration` ms.
+function tickStep(duration) {
+  const power = Math.pow(10, Math.floor(Math.log10(Math.max(duration, 1) / 10)))
+  return [1, 2, 5, 10].map((factor) => factor * power).find((step) => duration / step <= 10)
+}
+
+function toSvg(trace) {
+  const streams = trace.header.streams
+  const duration = Math.max(trace.events.length ? trace.events[trace.events.length - 1].time : 0, 1)
+  const plotWidth = SVG.width - SVG.labelWidth - 20
+  const x = (time) => (SVG.labelWidth + time / duration * plotWidth).toFixed(1)
+  const lanesHeight = streams.length * (SVG.laneHeight + SVG.laneGap)
+  const height = SVG.top + lanesHeight + SVG.axisHeight + SVG.legendHeight
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${SVG.width}" height="${height}" ` +
+      `viewBox="0 0 ${SVG.width} ${height}" font-family="sans-serif" font-size="12">`,
+    `<rect width="${SVG.width}" height="${height}" fill="#ffffff"/>`
+  ]
+
+  streams.forEach((stream, i) => {
+    const top = SVG.top + i * (SVG.laneHeight + SVG.laneGap)
+    const bottom = top + SVG.laneHeight
+    const sizes = trace.events.filter((event) => event.sizes[stream.name] !== undefined)
+    const peak = Math.max(stream.bufferLimit || 0, ...sizes.map((event) => event.sizes[stream.name]))
+    const y = (size) => (bottom - (peak ? size / peak : 0) * (SVG.laneHeight - 10)).toFixed(1)
+    parts.push(`<text x="10" y="${top + SVG.laneHeight / 2}">${xml(stream.name)}</text>`)
+    parts.push(`<text x="10" y="${top + SVG.laneHeight / 2 + 15}" fill="#888888">` +
+      `peak ${peak} ${xml(stream.bufferUnit || '')}</text>`)
+    parts.push(`<rect x="${SVG.labelWidth}" y="${top}" width="${plotWidth}" height="${SVG.laneHeight}" ` +
+      'fill="#f4f4f4"/>')
+    if (stream.bufferLimit) {
+      parts.push(`<line x1="${SVG.labelWidth}" x2="${SVG.labelWidth + plotWidth}" y1="${y(stream.bufferLimit)}" ` +
+        `y2="${y(stream.bufferLimit)}" stroke="#888888" stroke-dasharray="4 3"/>`)
+    }
+    // occupancy as a step chart: it holds each size until the next event changes it
+    let path = `M${x(0)},${y(0)}`
+    let size = 0
+    sizes.forEach((event) => {
+      if (event.sizes[stream.name] !== size) {
+        size = event.sizes[stream.name]
+        path += ` H${x(event.time)} V${y(size)}`
+      }
+    })
+    path += ` H${x(duration)} V${y(0)} Z`
+    parts.push(`<path d="${path}" fill="#9ecae1" stroke="#3182bd"/>`)
+    trace.events.forEach((event) => {
+      const mark = MARKS[event.type]
+      if (event.stream !== stream.name || !mark || (event.type === 'push' && event.response !== false)) {
+        return
+      }
+      parts.push(`<line x1="${x(event.time)}" x2="${x(event.time)}" y1="${top}" y2="${bottom}" ` +
+        `stroke="${mark[0]}" stroke-width="2"><title>${xml(`${event.time}ms ${event.type}`)}</title></line>`)
+    })
+  })
+
+  const axisY = SVG.top + lanesHeight
+  parts.push(`<line x1="${SVG.labelWidth}" x2="${SVG.labelWidth + plotWidth}" y1="${axisY}" y2="${axisY}" ` +
+    'stroke="#000000"/>')
+  const step = tickStep(duration)
+  for (let tick = 0; tick * step <= duration; tick++) {
+    const time = Number((tick * step).toFixed(3))
+    parts.push(`<line x1="${x(time)}" x2="${x(time)}" y1="${axisY}" y2="${axisY + 5}" stroke="#000000"/>`)
+    parts.push(`<text x="${x(time)}" y="${axisY + 18}" text-anchor="middle">${time}ms</text>`)
+  }
+
+  const legend = []
+  Object.keys(MARKS).forEach((type) => {
+    if (!legend.some((entry) => entry[1] === MARKS[type][1])) {
+      legend.push(MARKS[type])
+    }
+  })
+  legend.push(['#888888', 'highWaterMark'])
+  const legendY = axisY + SVG.axisHeight + 15
+  let left = SVG.labelWidth
+  legend.forEach((entry) => {
+    parts.push(`<rect x="${left}" y="${legendY - 9}" width="10" height="10" fill="${entry[0]}"/>`)
+    parts.push(`<text x="${left + 14}" y="${legendY}">${xml(entry[1])}</text>`)
+    left += 30 + entry[1].length * 7 // roughly the width of the text at 12px
+  })
+
+  parts.push('</svg>')
+  return parts.join('\n') + '\n'
+}
+
+// Renders a trace in one of FORMATS.
+function renderDiagram(trace, format) {
+  const render = { mermaid: toMermaid, plantuml: toPlantUml, svg: toSvg }[format || 'mermaid']
+  if (!render) {
+    throw new Error(`Unknown diagram format ${format}, expected one of ${FORMATS.join(', ')}`)
+  }
+  if (!trace.header.streams || !trace.header.streams.length) {
+    throw new Error('The trace header lists no streams, so there is nothing to draw a diagram of')
+  }
+  return render(trace)
+}
+
+module.exports = {
+  FORMATS,
+  sequence,
+  toMermaid,
+  toPlantUml,
+  toSvg,
+  renderDiagram
+}
@@ -0,0 +1,196 @@
+'use strict'
+
+const stream = require('stream')
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+const errors = require('./errors')
+
+const DEFAULTS = Object.assign({}, errors.DEFAULTS, {
+  faults: undefined, // each run plans its own
+  sourceErrorAt: 3, // Source._read call that errors, as in errors.js
+  sinkErrorAt: 7 // Sink._write call that errors, as in errors.js
+})
+
+/*
+  Runs the errors.js failures, a source error on read #3 and a sink error on write #7, through each way of
+  connecting streams, and shows side by side which streams end up destroyed, which emit 'close', and whether the
+  pipeline completes, reports the error, or hangs.
+
+  - pipe: `.pipe`, with the error emitted as in errors.js. A sink error unpipes the source, which never resumes:
+  the pipe hangs. A source error does nothing to the pipe at all.
+  - pipe, destroy(err): `.pipe`, with the failing stream destroyed instead. The destroyed stream closes, but the
+  other one is left paused or waiting for data.
+  - pipeline: `stream.pipeline` destroys every stream when any of them fails and calls back with the error.
+  - pipeline, emit error: an emitted error is enough for pipeline, even without destroy.
+  - pipeline, autoDestroy false / emitClose false: streams that opt out of destroying or closing themselves.
+
+  Every stream is also watched with `stream.finished`, which reports when a stream is done or failed.
+
+  Each run uses a virtual clock, so the whole comparison takes no real time, and a run counts as hung when its
+  clock has nothing left to do before the sink finishes or pipeline calls back.
+*/
+
+// How the streams are connected and the error injected. Not VARIANTS: every case runs in one go, none is picked with
+// --variant.
+const CASES = [
+  { name: 'pipe', connect: 'pipe', inject: 'emit' },
+  { name: 'pipe, destroy(err)', connect: 'pipe', inject: 'destroy' },
+  { name: 'pipeline', connect: 'pipeline', inject: 'destroy' },
+  { name: 'pipeline, emit error', connect: 'pipeline', inject: 'emit' },
+  { name: 'pipeline, autoDestroy false', connect: 'pipeline', inject: 'destroy', streamOptions: { autoDestroy: false } },
+  { name: 'pipeline, emitClose false', connect: 'pipeline', inject: 'destroy', streamOptions: { emitClose: false } }
+]
+
+const FAILURES = ['source', 'sink']
+
+// Creates the streams for one run. They don't start until start() is called.
+function createRun(variant, failure, config, clock, tracer) {
+  const label = `${variant.name}, ${failure} error`
+  const source = new instrumentation.Source(Object.assign({
+    name: `${label}: Source`,
+    highWaterMark: config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    faults: failure === 'source' ? [{ type: variant.inject, at: config.sourceErrorAt }] : [],
+    clock
+  }, variant.streamOptions))
+  source.setEncoding('utf8')
+
+  const sink = new instrumentation.Sink(Object.assign({
+    name: `${label}: Sink`,
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    chunkData: config.chunkData,
+    faults: failure === 'sink' ? [{ type: variant.inject, at: config.sinkErrorAt }] : [],
+    clock
+  }, variant.streamOptions))
+
+  tracer.attach(source)
+  tracer.attach(sink)
+
+  const result = { variant: variant.name, failure, streams: {}, finished: false, callback: undefined }
+  const streams = { Source: source, Sink: sink }
+
+  Object.keys(streams).forEach((name) => {
+    result.streams[name] = { closed: false, finished: undefined }
+    streams[name].on('error', () => {})
+    streams[name].on('close', () => {
+      result.streams[name].closed = true
+    })
+  })
+  sink.on('finish', () => {
+    result.finished = true
+  })
+
+  result.start = () => {
+    Object.keys(streams).forEach((name) => {
+      stream.finished(streams[name], (err) => {
+        result.streams[name].finished = err ? err.message : 'done'
+      })
+    })
+    if (variant.connect === 'pipeline') {
+      stream.pipeline(source, sink, (err) => {
+        result.callback = err ? err.message : 'done'
+      })
+    } else {
+      source.pipe(sink)
+    }
+  }
+
+  result.settle = () => {
+    Object.keys(streams).forEach((name) => {
+      result.streams[name].destroyed = streams[name].destroyed
+    })
+    if (result.finished) {
+      result.outcome = 'completes'
+    } else if (result.callback !== undefined) {
+      result.outcome = `calls back: ${result.callback}`
+    } else {
+      result.outcome = 'hangs'
+    }
+    return result
+  }
+
+  return result
+}
+
+function yesNo(value) {
+  return value ? 'yes' : 'no'
+}
+
+function printResults(results) {
+  const columns = [
+    ['Connected by', (result) => result.variant],
+    ['Error in', (result) => result.failure],
+    ['Source destroyed', (result) => yesNo(result.streams.Source.destroyed)],
+    ['Source close', (result) => yesNo(result.streams.Source.closed)],
+    ['Source finished()', (result) => result.streams.Source.finished || '-'],
+    ['Sink destroyed', (result) => yesNo(result.streams.Sink.destroyed)],
+    ['Sink close', (result) => yesNo(result.streams.Sink.closed)],
+    ['Sink finished()', (result) => result.streams.Sink.finished || '-'],
+    ['Outcome', (result) => result.outcome]
+  ]
+  const rows = results.map((result) => columns.map((column) => column[1](result)))
+  const widths = columns.map((column, i) => Math.max(column[0].length, ...rows.map((row) => row[i].length)))
+  const format = (cells) => cells.map((cell, i) => cell + Array(widths[i] - cell.length + 1).join(' ')).join('  ').trim()
+
+  output.log('plain', '')
+  output.log('heading', format(columns.map((column) => column[0])))
+  rows.forEach((row, i) => {
+    const outcome = results[i].outcome
+    output.log(outcome === 'hangs' ? 'bad' : outcome === 'completes' ? 'green' : 'yellow', format(row))
+  })
+}
+
+/*
+  Runs every variant against both failures, one after the other, and calls `done` with the results. `onRun` is
+  called with each run as it starts.
+*/
+function runVariants(options, onRun, done) {
+  const config = Object.assign({}, DEFAULTS, options)
+  const clock = new instrumentation.VirtualClock()
+  const tracer = new instrumentation.Tracer({ clock })
+  const runs = []
+  CASES.forEach((variant) => {
+    FAILURES.forEach((failure) => runs.push(createRun(variant, failure, config, clock, tracer)))
+  })
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+
+  const results = []
+  function next() {
+    const current = runs[results.length]
+    if (!current) {
+      return done(results)
+    }
+    onRun(current)
+    clock.once('idle', () => {
+      results.push(current.settle())
+      next()
+    })
+    current.start()
+  }
+  next()
+
+  return { clock, tracer }
+}
+
+function run(options) {
+  return runVariants(options, (current) => {
+    output.log('read', `${current.variant}, ${current.failure} error`)
+  }, printResults)
+}
+
+module.exports = {
+  DEFAULTS,
+  CASES,
+  runVariants,
+  faultable: false,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
@@ -0,0 +1,114 @@
+'use strict'
+
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  readCount: 10, // the number of times each Source._read can be called before it pushes null
+  readIntervals: [50, 100, 300], // ms, one source per interval
+  writeInterval: 100, // ms
+  sourceHighWaterMark: 50, // bytes
+  sinkHighWaterMark: 100, // bytes
+  chunkData: instrumentation.defaults.CHUNK_DATA
+}
+
+/*
+  Several sources, reading at different speeds, merged into one sink.
+
+  Each source is piped with { end: false }: by default the first source to end would end the sink, and the chunks
+  the others write after that would fail with 'write after end'. Instead the sink is ended once every source has.
+
+  1. Each pipe only pauses its own source, when its own write returns false. The other sources keep flowing until
+     they next write, so the sink ends up over its highWaterMark by up to a chunk per source.
+  2. When the sink drains, every source paused on it resumes at once, and the chunks each one buffered while paused
+     refill the sink straight away.
+  3. Every source gets paused, however slowly it reads: while the sink is full any write gets false back, and the
+     sink is full most of the time.
+  4. The sink only finishes after the last source ends.
+*/
+
+function run(options) {
+  const config = Object.assign({}, DEFAULTS, options)
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {})
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const sources = config.readIntervals.map((readInterval, i) => {
+    const source = new instrumentation.Source({
+      name: `Source ${i + 1}`,
+      highWaterMark: config.sourceHighWaterMark,
+      readCount: config.readCount,
+      readInterval,
+      chunkData: config.chunkData,
+      faults: faults.source,
+      clock
+    })
+    source.setEncoding('utf8')
+    return source
+  })
+
+  const sink = new instrumentation.Sink({
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    chunkData: config.chunkData,
+    faults: faults.sink,
+    clock
+  })
+
+  const tracer = new instrumentation.Tracer({ clock })
+  sources.forEach((source) => tracer.attach(source))
+  tracer.attach(sink)
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+  instrumentation.monitorBuffers(tracer, sources.concat(sink), instrumentation.printFanIn)
+  instrumentation.monitorFaults(tracer, sources.concat(sink))
+  instrumentation.monitorMetrics(tracer, sink)
+
+  let ended = 0
+  sources.forEach((source) => {
+    source.on('pause', () => {
+      output.log('bad', `${source.name} paused`)
+    })
+
+    source.on('resume', () => {
+      output.log('good', `${source.name} resumed`)
+    })
+
+    source.on('end', () => {
+      ended++
+      output.log('bad', `${source.name} end (${ended} of ${sources.length})`)
+      if (ended === sources.length) {
+        sink.end()
+      }
+    })
+
+    source.on('error', () => {
+      output.error('bad', `${source.name} error`)
+    })
+
+    source.pipe(sink, { end: false })
+  })
+
+  sink.on('drain', () => {
+    output.log('good', 'Sink drain event')
+  })
+
+  sink.on('finish', () => {
+    output.log('bad', 'Sink finish')
+  })
+
+  sink.on('error', () => {
+    output.error('bad', 'Sink error')
+  })
+
+  return { clock, sources, sink, tracer }
+}
+
+module.exports = {
+  DEFAULTS,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
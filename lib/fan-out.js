@@ -0,0 +1,105 @@
+'use strict'
+
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  readCount: 20, // the number of times Source._read can be called before it pushes null
+  readInterval: 50, // ms
+  writeIntervals: [50, 150, 400], // ms, one sink per interval
+  sourceHighWaterMark: 100, // bytes
+  sinkHighWaterMark: 100, // bytes
+  chunkData: instrumentation.defaults.CHUNK_DATA,
+  faultySink: 3, // which sink (counting from 1) the sink faults are planned for, 0 for none
+  faults: {
+    sink: [{ type: 'emit', at: 6 }] // the slowest sink's _write #6 emits an error
+  }
+}
+
+/*
+  One source piped into several sinks, each with its own writeInterval.
+
+  1. A pipe pauses the source as soon as any one sink's write returns false, and only resumes it once every sink that
+     returned false has drained. The source, and so every sink, goes at the pace of the slowest sink.
+  2. The faster sinks spend most of their time empty, waiting on chunks the slow sink is holding up.
+  3. When a sink emits an error the source unpipes just that sink, the same as in the errors example, and stops
+     waiting for it to drain. The other sinks carry on, now at the pace of the slowest one left.
+  4. The unpiped sink still writes the chunks already in its buffer, but is never ended: it doesn't emit 'finish'.
+*/
+
+function run(options) {
+  const config = Object.assign({}, DEFAULTS, options)
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {})
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const source = new instrumentation.Source({
+    highWaterMark: config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    faults: faults.source,
+    clock
+  })
+  source.setEncoding('utf8')
+
+  const sinks = config.writeIntervals.map((writeInterval, i) => {
+    return new instrumentation.Sink({
+      name: `Sink ${i + 1}`,
+      highWaterMark: config.sinkHighWaterMark,
+      writeInterval,
+      chunkData: config.chunkData,
+      faults: i + 1 === config.faultySink ? faults.sink : [],
+      clock
+    })
+  })
+
+  const tracer = new instrumentation.Tracer({ clock })
+  tracer.attach(source)
+  sinks.forEach((sink) => tracer.attach(sink))
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+  instrumentation.monitorBuffers(tracer, [source].concat(sinks), instrumentation.printFanOut)
+  instrumentation.monitorFaults(tracer, [source].concat(sinks))
+  sinks.forEach((sink) => instrumentation.monitorMetrics(tracer, sink, source))
+  instrumentation.monitorPaused(tracer, source)
+
+  source.on('end', () => {
+    output.log('bad', 'Source end')
+  })
+
+  source.on('error', () => {
+    output.error('bad', 'Source error')
+  })
+
+  sinks.forEach((sink) => {
+    sink.on('drain', () => {
+      output.log('good', `${sink.name} drain event`)
+    })
+
+    sink.on('finish', () => {
+      output.log('bad', `${sink.name} finish`)
+    })
+
+    sink.on('error', () => {
+      output.error('bad', `${sink.name} error`)
+    })
+
+    sink.on('unpipe', () => {
+      output.log('bad', `${sink.name} unpiped`)
+    })
+
+    source.pipe(sink)
+  })
+
+  return { clock, source, sinks, tracer }
+}
+
+module.exports = {
+  DEFAULTS,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
@@ -0,0 +1,184 @@
+'use strict'
+
+const childProcess = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const BIN = path.join(__dirname, '..', 'bin', 'stream-examples.js')
+const CONTEXT = 3 // events shown either side of where two event orders diverge
+
+/*
+  A fingerprint is what a run of an example looks like with the timing and numbering taken out, so runs on
+  different Node.js versions can be compared:
+
+    {
+      "node": "v20.19.5",
+      "scenarios": {
+        "backpressure": {
+          "events": ["Sink pipe", "Source read", "Source data", "Sink write-start", "Sink write true", ...],
+          "pushResults": { "Source": [true, true, ..., false] },
+          "maxOccupancy": { "Source": 4, "Sink": 4 }
+        }
+      }
+    }
+*/
+
+function describeEvent(event) {
+  const parts = [event.stream, event.type]
+  if (event.eof) {
+    parts.push('null')
+  }
+  if (event.response !== undefined) {
+    parts.push(String(event.response))
+  }
+  return parts.join(' ')
+}
+
+// Reduces a trace, as read by readTrace, to its fingerprint.
+function fingerprintTrace(trace) {
+  const pushResults = {}
+  const maxOccupancy = {}
+  trace.header.streams.forEach((stream) => {
+    maxOccupancy[stream.name] = 0
+  })
+  trace.events.forEach((event) => {
+    if (event.type === 'push') {
+      pushResults[event.stream] = (pushResults[event.stream] || []).concat(event.response)
+    }
+    Object.keys(event.buffers).forEach((name) => {
+      maxOccupancy[name] = Math.max(maxOccupancy[name] || 0, event.buffers[name])
+    })
+  })
+  return { events: trace.events.map(describeEvent), pushResults, maxOccupancy }
+}
+
+// Runs an example on a virtual clock in a child process, and fingerprints its trace.
+function fingerprintScenario(name) {
+  const traceFile = path.join(os.tmpdir(), `stream-examples-${process.pid}-${name}.jsonl`)
+  try {
+    const result = childProcess.spawnSync(process.execPath, [BIN, name, '--virtual-time', '--trace', traceFile], {
+      stdio: ['ignore', 'ignore', 'pipe']
+    })
+    if (result.status !== 0) {
+      throw new Error(`${name} exited with ${result.status}: ${result.stderr}`)
+    }
+    return fingerprintTrace(instrumentation.readTrace(traceFile))
+  } finally {
+    if (fs.existsSync(traceFile)) {
+      fs.unlinkSync(traceFile)
+    }
+  }
+}
+
+function fingerprintScenarios(names) {
+  const scenarios = {}
+  names.forEach((name) => {
+    scenarios[name] = fingerprintScenario(name)
+  })
+  return { node: process.version, scenarios }
+}
+
+function readFingerprint(file) {
+  let fingerprint
+  try {
+    fingerprint = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new Error(`Could not read fingerprint ${file}: ${err.message}`)
+  }
+  if (!fingerprint.scenarios) {
+    throw new Error(`${file} is not a fingerprint`)
+  }
+  return fingerprint
+}
+
+function firstDifference(a, b) {
+  const length = Math.max(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return i
+    }
+  }
+  return -1
+}
+
+/*
+  Lists where two fingerprints diverge, per scenario:
+    [{ scenario, kind: 'missing' | 'events' | 'pushResults' | 'maxOccupancy', ... }]
+  For event orders, `index` is the first event that differs.
+*/
+function compareFingerprints(a, b) {
+  const differences = []
+  const names = Object.keys(a.scenarios).concat(Object.keys(b.scenarios).filter((name) => !a.scenarios[name]))
+  names.forEach((name) => {
+    const left = a.scenarios[name]
+    const right = b.scenarios[name]
+    if (!left || !right) {
+      differences.push({ scenario: name, kind: 'missing', in: left ? 'b' : 'a' })
+      return
+    }
+    const index = firstDifference(left.events, right.events)
+    if (index !== -1) {
+      differences.push({ scenario: name, kind: 'events', index })
+    }
+    const streams = Object.keys(Object.assign({}, left.pushResults, right.pushResults))
+    streams.forEach((stream) => {
+      const pushIndex = firstDifference(left.pushResults[stream] || [], right.pushResults[stream] || [])
+      if (pushIndex !== -1) {
+        differences.push({ scenario: name, kind: 'pushResults', stream, index: pushIndex })
+      }
+    })
+    Object.keys(Object.assign({}, left.maxOccupancy, right.maxOccupancy)).forEach((stream) => {
+      if (left.maxOccupancy[stream] !== right.maxOccupancy[stream]) {
+        differences.push({ scenario: name, kind: 'maxOccupancy', stream })
+      }
+    })
+  })
+  return differences
+}
+
+function printEvents(events, from, to, prefix, style) {
+  events.slice(from, to).forEach((event, i) => output.log(style, `  ${prefix} ${from + i + 1}: ${event}`))
+}
+
+// Prints the differences between two fingerprints and returns how many there are.
+function printComparison(a, b) {
+  const differences = compareFingerprints(a, b)
+  output.log('plain', `a: ${a.node}    b: ${b.node}`)
+  if (!differences.length) {
+    output.log('good', 'No differences')
+    return 0
+  }
+  differences.forEach((difference) => {
+    const left = a.scenarios[difference.scenario]
+    const right = b.scenarios[difference.scenario]
+    output.log('plain', '')
+    if (difference.kind === 'missing') {
+      output.log('bad', `${difference.scenario}: missing from ${difference.in}`)
+    } else if (difference.kind === 'events') {
+      const index = difference.index
+      output.log('bad', `${difference.scenario}: event order diverges at event ${index + 1}`)
+      printEvents(left.events, Math.max(index - CONTEXT, 0), index, ' ', 'dim')
+      printEvents(left.events, index, index + CONTEXT, 'a', 'red')
+      printEvents(right.events, index, index + CONTEXT, 'b', 'green')
+    } else if (difference.kind === 'pushResults') {
+      const index = difference.index
+      output.log('bad', `${difference.scenario}: ${difference.stream} push #${index + 1} returned ` +
+        `${left.pushResults[difference.stream][index]} in a, ${right.pushResults[difference.stream][index]} in b`)
+    } else {
+      output.log('bad', `${difference.scenario}: ${difference.stream} max occupancy ` +
+        `${left.maxOccupancy[difference.stream]} in a, ${right.maxOccupancy[difference.stream]} in b`)
+    }
+  })
+  return differences.length
+}
+
+module.exports = {
+  fingerprintTrace,
+  fingerprintScenarios,
+  readFingerprint,
+  compareFingerprints,
+  printComparison
+}
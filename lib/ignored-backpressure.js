@@ -0,0 +1,128 @@
+'use strict'
+
+const stream = require('stream')
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  variant: 'write',
+  readCount: 30, // the number of chunks the producer makes
+  readInterval: 50, // ms between chunks, whatever the stream after it says
+  writeInterval: 250, // ms
+  sourceHighWaterMark: 100, // bytes, the push variant's readable
+  sinkHighWaterMark: 100, // bytes
+  overflowMultiple: instrumentation.defaults.OVERFLOW_MULTIPLE,
+  chunkData: instrumentation.defaults.CHUNK_DATA
+}
+
+// How the producer treats what write or push returns.
+const VARIANTS = {
+  write: {}, // writes to Sink on a timer, ignoring write's return value
+  push: {}, // pushes into a readable on a timer, ignoring push's return value, and the readable is piped into Sink
+  drain: {} // the write variant done right: after write returns false, waits for 'drain'
+}
+
+/*
+  A producer that doesn't respect backpressure, the way it usually happens in production: chunks come from a timer
+  (or a socket, or a database cursor) and are written or pushed as they come, whatever write or push returns.
+
+  Nothing stops it. write and push only signal that the buffer is full, they still take the chunk, so the buffer
+  grows for as long as the producer is faster than what comes after it, and memory with it. detectOverflow watches
+  the buffers and warns once one is more than --overflow-multiple times its highWaterMark, with where the calls are
+  coming from.
+
+  1. write: write returns false as soon as Sink's buffer reaches its highWaterMark, and every write after it until
+     'drain' is ignoring it. No 'drain' ever comes while the producer keeps writing, since the buffer has to empty
+     first.
+  2. push: push returns false once the readable's buffer reaches its highWaterMark, and pipe stops taking chunks
+     from it when Sink's write returns false. The readable's buffer is the one that grows; Sink's stays at its
+     highWaterMark, as pipe respects backpressure.
+  3. drain: the same producer, waiting for 'drain' after write returns false. Sink's buffer stays at its
+     highWaterMark, and the producer takes as long as Sink does.
+*/
+
+function run(options) {
+  const variant = (options && options.variant) || DEFAULTS.variant
+  if (!VARIANTS[variant]) {
+    throw new Error(`Unknown variant "${variant}", expected one of ${Object.keys(VARIANTS).join(', ')}`)
+  }
+  const config = Object.assign({}, DEFAULTS, VARIANTS[variant], options)
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const sink = new instrumentation.Sink({
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    chunkData: config.chunkData,
+    clock
+  })
+  // a readable with nothing to do in _read: its chunks come from the producer's timer
+  const source = variant === 'push'
+    ? instrumentation.instrument(new stream.Readable({ highWaterMark: config.sourceHighWaterMark, read() {} }),
+      'Producer')
+    : null
+  const streams = source ? [source, sink] : [sink]
+
+  const tracer = new instrumentation.Tracer({ clock })
+  streams.forEach((attached) => tracer.attach(attached))
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+  instrumentation.monitorBuffers(tracer, streams)
+  instrumentation.monitorMetrics(tracer, sink)
+  instrumentation.detectOverflow(streams, { multiple: config.overflowMultiple })
+
+  sink.on('drain', () => {
+    output.log('good', 'Sink drain event')
+  })
+
+  sink.on('finish', () => {
+    output.log('bad', 'Sink finish')
+  })
+
+  let produced = 0
+  const produce = () => {
+    produced++
+    if (source) {
+      const response = source.push(config.chunkData)
+      output.log('push', `Producer push #${produced} response: ${response}`)
+    } else {
+      const response = sink.write(config.chunkData)
+      output.log('write', `Producer write #${produced} response: ${response}`)
+      if (!response && variant === 'drain') {
+        output.log('bad', 'Producer waiting for drain')
+        sink.once('drain', next)
+        return
+      }
+    }
+    next()
+  }
+  const next = () => {
+    if (produced === config.readCount) {
+      if (source) {
+        source.push(null)
+      } else {
+        sink.end()
+      }
+      return
+    }
+    clock.setTimeout(produce, config.readInterval)
+  }
+
+  if (source) {
+    source.pipe(sink)
+  }
+  next()
+
+  return { clock, source, sink, tracer }
+}
+
+module.exports = {
+  DEFAULTS,
+  VARIANTS,
+  faultable: false,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
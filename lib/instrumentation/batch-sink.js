@@ -0,0 +1,58 @@
+'use strict'
+
+const Sink = require('./sink')
+const state = require('./state')
+
+/*
+  A Sink that also implements _writev, so Node.js hands it every chunk queued behind the one being written in a
+  single call, instead of calling _write once per chunk. A batch takes `writeInterval` ms, the same as one chunk
+  takes Sink, the way one syscall or network round trip can carry many chunks. A chunk that arrives while the sink is
+  idle, with nothing queued behind it, still goes to _write on its own: Node.js only calls _writev for two chunks
+  or more, which is what cork() is for.
+
+  The chunks of the batch being written count towards the buffer length until the batch completes, so a drawn
+  buffer empties all at once.
+
+  Faults are only acted out by _write, counting single writes.
+
+  Emits Sink's events, 'written' ({ id, chunk }) once for each chunk of a batch when it completes, and one more:
+  - 'writev' ({ id, chunks }) when BatchSink._writev starts, id counting batches
+*/
+class BatchSink extends Sink {
+  constructor(options) {
+    super(options)
+    this.batchId = 0
+    this.writingLength = 0
+    this.writingSize = 0
+  }
+
+  // Node.js only takes a batch out of the writable state's buffer once _writev has returned, so until then the buffer
+  // still counts it. Nothing can queue behind the batch before that, so while the writable length is the batch's
+  // alone, the batch is all there is.
+  getBufferLength() {
+    if (this.writingLength && state.inspect(this, 'writableLength') === this.writingSize) {
+      return this.writingLength
+    }
+    return state.writableBufferLength(this) + (this.isWriting ? 1 : 0) + this.writingLength
+  }
+
+  _writev(entries, cb) {
+    this.batchId++
+    const chunks = entries.map((entry) => entry.chunk)
+    const objectMode = state.inspect(this, 'writableObjectMode')
+    this.writingLength = chunks.length
+    this.writingSize = chunks.reduce((size, chunk) => size + (objectMode ? 1 : chunk.length), 0)
+    this.emit('writev', { id: this.batchId, chunks })
+    this.clock.setTimeout(() => {
+      this.writingLength = 0
+      this.writingSize = 0
+      chunks.forEach((chunk) => {
+        this.completeId++
+        this.emit('written', { id: this.completeId, chunk })
+      })
+      cb()
+    }, this.writeInterval)
+  }
+}
+
+module.exports = BatchSink
@@ -0,0 +1,150 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+// The clock the instrumented streams use by default: real timers.
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, delay) => setTimeout(fn, delay),
+  clearTimeout: (timer) => clearTimeout(timer)
+}
+
+// Timers that don't wait, whatever their delay: each fires on the next setImmediate, after any I/O that is due. For
+// running the streams flat out, as the benchmark does.
+const immediateClock = {
+  now: () => Date.now(),
+  setTimeout: (fn) => setImmediate(fn),
+  clearTimeout: (timer) => clearImmediate(timer)
+}
+
+/*
+  Simulated time. Timers never wait: each one fires as soon as everything the previous timer set off has settled,
+  and the clock jumps to the time it was due. Runs take no real time and always happen in the same order.
+
+  Timers fire one per setImmediate, which runs after the process.nextTick and promise queues the streams use
+  internally. Timers due at the same time fire in the order they were set, like real timers.
+
+  Emits 'idle' once a timer has fired and everything it set off has settled without setting another timer: the run
+  has nothing left to do.
+
+  For watching a run as it happens, the clock can be slowed down and paused. With `speed` set, it waits in real time
+  for each timer, 1 being real time and 2 twice as fast. pause() stops timers firing, step() fires the next one while
+  paused, and resume() carries on. setSpeed() changes the speed, starting any wait in progress over at the new one.
+*/
+class VirtualClock extends EventEmitter {
+  constructor() {
+    super()
+    this.time = 0
+    this.timers = []
+    this.lastId = 0
+    this.scheduled = false
+    this.speed = 0
+    this.paused = false
+    this.waiting = null
+  }
+
+  pause() {
+    this.paused = true
+    this._cancelWait()
+  }
+
+  resume() {
+    this.paused = false
+    this._schedule(true)
+  }
+
+  // Fires the next timer, if paused and there is one. Returns whether it did.
+  step() {
+    if (!this.paused || !this.timers.length) {
+      return false
+    }
+    this._cancelWait()
+    this._fire(this.timers.shift())
+    return true
+  }
+
+  setSpeed(speed) {
+    this.speed = speed
+    if (this.waiting) {
+      this._cancelWait()
+      this._schedule(true)
+    }
+  }
+
+  now() {
+    return this.time
+  }
+
+  setTimeout(fn, delay) {
+    const timer = { id: ++this.lastId, due: this.time + Math.max(delay || 0, 0), fn }
+    let i = this.timers.length
+    while (i > 0 && this.timers[i - 1].due > timer.due) {
+      i--
+    }
+    this.timers.splice(i, 0, timer)
+    this._schedule()
+    return timer.id
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter((timer) => timer.id !== id)
+  }
+
+  _schedule(force) {
+    if (!this.scheduled && (force || this.timers.length)) {
+      this.scheduled = true
+      setImmediate(() => this._tick())
+    }
+  }
+
+  _tick() {
+    this.scheduled = false
+    if (!this.timers.length) {
+      this.emit('idle')
+      return
+    }
+    if (this.paused) {
+      return
+    }
+    const wait = this.speed ? (this.timers[0].due - this.time) / this.speed : 0
+    if (wait <= 0) {
+      return this._fire(this.timers.shift())
+    }
+    // a timer cleared or set meanwhile may have changed what fires next, which is then waited for from scratch
+    const next = this.timers[0]
+    this.scheduled = true
+    this.waiting = setTimeout(() => {
+      this.waiting = null
+      this.scheduled = false
+      if (this.paused) {
+        return
+      }
+      if (this.timers[0] === next) {
+        this._fire(this.timers.shift())
+      } else {
+        this._tick()
+      }
+    }, wait)
+  }
+
+  _cancelWait() {
+    if (this.waiting) {
+      clearTimeout(this.waiting)
+      this.waiting = null
+      this.scheduled = false
+    }
+  }
+
+  _fire(timer) {
+    this.time = timer.due
+    timer.fn()
+    // check again even if no timers are left, as the streams may set one once their queued work has run
+    this._schedule(true)
+  }
+}
+
+module.exports = {
+  realClock,
+  immediateClock,
+  VirtualClock
+}
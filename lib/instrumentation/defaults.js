@@ -0,0 +1,12 @@
+'use strict'
+
+// Shared defaults for the instrumented streams. Each example overrides what it needs.
+module.exports = {
+  READ_COUNT: 10, // the number of times Source._read can be called before it pushes null
+  READ_INTERVAL: 100, // ms
+  WRITE_INTERVAL: 250, // ms
+  SOURCE_HIGH_WATER_MARK: 100, // bytes
+  SINK_HIGH_WATER_MARK: 100, // bytes
+  OVERFLOW_MULTIPLE: 2, // times its highWaterMark a buffer can grow to before detectOverflow warns
+  CHUNK_DATA: 'abcdefghijklmnopqrstuvwxy'
+}
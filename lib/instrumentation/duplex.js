@@ -0,0 +1,77 @@
+'use strict'
+
+const stream = require('stream')
+const defaults = require('./defaults')
+const state = require('./state')
+const realClock = require('./clock').realClock
+
+/*
+  A duplex stream that behaves like a connection with latency: each chunk written takes `writeInterval` ms,
+  then comes out of the readable side.
+
+  Unlike a Transform, nothing couples the two sides for us. When push returns false the write callback is held
+  until the readable side asks for more, which is what carries backpressure from the readable side to the writer.
+
+  Emits 'write' ({ id, chunk }) when a write starts and 'written' ({ id, chunk }) once the chunk has been pushed.
+*/
+class Duplex extends stream.Duplex {
+  constructor(options) {
+    options = Object.assign({
+      decodeStrings: false,
+      encoding: 'utf8',
+      highWaterMark: defaults.SINK_HIGH_WATER_MARK,
+      writeInterval: defaults.WRITE_INTERVAL,
+      chunkData: defaults.CHUNK_DATA
+    }, options)
+    super(options)
+    this.name = options.name || this.constructor.name
+    this.writeInterval = options.writeInterval
+    this.clock = options.clock || realClock
+    this.writeId = 0
+    this.completeId = 0
+    this.bufferLength = 0
+    this.bufferCapacity = 2 * state.chunkCapacity(options)
+    this.bufferLimit = 2 * options.highWaterMark
+    this.bufferUnit = state.bufferUnit(options.objectMode)
+    this.isWriting = false
+    this.pendingCallback = null
+    this.once('finish', () => this.push(null))
+  }
+
+  getBufferLength() {
+    const writableLength = state.writableBufferLength(this)
+    const writingBuffer = this.isWriting ? 1 : 0
+    return writableLength + writingBuffer + state.readableBufferLength(this)
+  }
+
+  getBufferSize() {
+    return state.writableBufferSize(this) + state.readableBufferSize(this)
+  }
+
+  _write(chunk, enc, cb) {
+    this.isWriting = true
+    this.writeId++
+    this.emit('write', { id: this.writeId, chunk })
+    this.clock.setTimeout(() => {
+      this.completeId++
+      this.isWriting = false
+      const response = this.push(chunk)
+      this.emit('written', { id: this.completeId, chunk })
+      if (response) {
+        cb()
+      } else {
+        this.pendingCallback = cb
+      }
+    }, this.writeInterval)
+  }
+
+  _read(size) {
+    const cb = this.pendingCallback
+    if (cb) {
+      this.pendingCallback = null
+      cb()
+    }
+  }
+}
+
+module.exports = Duplex
@@ -0,0 +1,91 @@
+'use strict'
+
+/*
+  A fault plan lists the failures a Source or Sink should act out, as { type, at }: `at` is the Source._read or
+  Sink._write call (counting from 1) the fault happens on.
+
+  Source faults:
+  - emit: emit 'error' and carry on pushing, like errors.js
+  - throw: throw from _read, synchronously, which Source passes to destroy(err) as Node.js 18 and later do
+  - destroy: destroy(err) instead of pushing
+  - push-after-eof: push another chunk after pushing null (`at` is not used)
+
+  Sink faults:
+  - emit: emit 'error' while the write carries on, like errors.js
+  - throw: throw from _write, synchronously. Nothing catches it, and under a pipe the process crashes
+  - callback: pass the error to the write callback
+  - destroy: destroy(err) instead of writing
+  - no-callback: never call the write callback
+  - double-callback: call the write callback twice. The second call completes the next write early, if one was queued
+    (else Node.js errors, unless the sink has finished), and the callback of each write after that completes the one
+    after it: 'finish' comes while the last chunk is still being written. The 'fault' event carries this as `effect`.
+
+  The web stream counterparts, WebSource and WebSink (see web.js), act out the faults those streams can have:
+  - WebSource emit: controller.error(err) instead of enqueueing
+  - WebSource throw: the pull promise rejects
+  - WebSink emit: controller.error(err) while the write carries on
+  - WebSink callback: the write promise rejects
+*/
+
+const SOURCE_FAULTS = ['emit', 'throw', 'destroy', 'push-after-eof']
+const SINK_FAULTS = ['emit', 'throw', 'callback', 'destroy', 'no-callback', 'double-callback']
+const WEB_SOURCE_FAULTS = ['emit', 'throw']
+const WEB_SINK_FAULTS = ['emit', 'callback']
+
+// The fault types a plan can give each stream: Source and Sink's, and those of their web stream counterparts.
+const FAULT_TYPES = { source: SOURCE_FAULTS, sink: SINK_FAULTS }
+const WEB_FAULT_TYPES = { source: WEB_SOURCE_FAULTS, sink: WEB_SINK_FAULTS }
+
+// Checks a list of faults against the types `name` supports, and returns a copy of it.
+function validateFaults(faults, types, name) {
+  if (!Array.isArray(faults)) {
+    throw new Error(`${name} faults must be a list of { type, at }`)
+  }
+  return faults.map((fault) => {
+    if (types.indexOf(fault.type) === -1) {
+      throw new Error(`Unknown ${name} fault "${fault.type}", expected one of ${types.join(', ')}`)
+    }
+    if (fault.type !== 'push-after-eof' && !(Number.isInteger(fault.at) && fault.at > 0)) {
+      throw new Error(`${name} fault "${fault.type}" needs "at", the call to fail on, counting from 1`)
+    }
+    return { type: fault.type, at: fault.at }
+  })
+}
+
+// Checks a plan of the form { source: [...], sink: [...] } against `types`, FAULT_TYPES unless given.
+function validateFaultPlan(plan, types) {
+  types = types || FAULT_TYPES
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    throw new Error('A fault plan must be an object of the form { "source": [...], "sink": [...] }')
+  }
+  Object.keys(plan).forEach((key) => {
+    if (key !== 'source' && key !== 'sink') {
+      throw new Error(`Unknown stream "${key}" in fault plan, expected source or sink`)
+    }
+  })
+  return {
+    source: validateFaults(plan.source || [], types.source, 'Source'),
+    sink: validateFaults(plan.sink || [], types.sink, 'Sink')
+  }
+}
+
+function faultAt(faults, at, type) {
+  return faults.find((fault) => fault.at === at && (!type || fault.type === type))
+}
+
+function hasFault(faults, type) {
+  return faults.some((fault) => fault.type === type)
+}
+
+module.exports = {
+  SOURCE_FAULTS,
+  SINK_FAULTS,
+  WEB_SOURCE_FAULTS,
+  WEB_SINK_FAULTS,
+  FAULT_TYPES,
+  WEB_FAULT_TYPES,
+  validateFaults,
+  validateFaultPlan,
+  faultAt,
+  hasFault
+}
@@ -0,0 +1,43 @@
+'use strict'
+
+const render = require('./render')
+const monitor = require('./monitor')
+const trace = require('./trace')
+const clock = require('./clock')
+const web = require('./web')
+
+module.exports = {
+  defaults: require('./defaults'),
+  Source: require('./source'),
+  Sink: require('./sink'),
+  BatchSink: require('./batch-sink'),
+  Transform: require('./transform'),
+  Duplex: require('./duplex'),
+  WebSource: web.WebSource,
+  WebSink: web.WebSink,
+  instrument: require('./wrap').instrument,
+  Tracer: require('./tracer'),
+  faults: require('./faults'),
+  state: require('./state'),
+  output: require('./output'),
+  realClock: clock.realClock,
+  immediateClock: clock.immediateClock,
+  VirtualClock: clock.VirtualClock,
+  printBuffers: render.printBuffers,
+  printFanOut: render.printFanOut,
+  printFanIn: render.printFanIn,
+  printBufferContents: render.printBufferContents,
+  printBufferBorder: render.printBufferBorder,
+  monitorBuffers: monitor.monitorBuffers,
+  printOnChange: monitor.printOnChange,
+  monitorFaults: monitor.monitorFaults,
+  monitorPaused: monitor.monitorPaused,
+  monitorFlowing: monitor.monitorFlowing,
+  monitorMetrics: monitor.monitorMetrics,
+  trackMetrics: require('./metrics').trackMetrics,
+  compareMetrics: require('./metrics').compareMetrics,
+  detectOverflow: require('./overflow').detectOverflow,
+  recordTrace: trace.recordTrace,
+  readTrace: trace.readTrace,
+  replayTrace: trace.replayTrace
+}
@@ -0,0 +1,173 @@
+'use strict'
+
+/*
+  Adds up what a run did from a Tracer's events, for tuning highWaterMarks against:
+
+  - the chunks `sink` completed and their total size, the write calls (_write or _writev) that took, and the
+    throughput that makes since the tracer started
+  - for each attached readable, how many times push returned false and how long it spent paused before it ended
+  - for each attached writable, how many 'drain' events it emitted
+  - for each attached stream, the peak and time-weighted average size of its buffer
+  - with `source`, the latency of each chunk from source.push to the sink completing its write
+
+  Latency pairs the nth chunk pushed with the nth chunk written, so it holds for chunks that reach the sink in the
+  order they were pushed, one for one: a pipe or a chain of one-for-one transforms, not a fan-in.
+
+  Returns { summary(), stop() }. summary() can be called at any point, and counts up to the latest event.
+*/
+function trackMetrics(tracer, sink, source) {
+  const sinkName = tracer.nameOf(sink)
+  const sourceName = source && tracer.nameOf(source)
+  const streams = {}
+  const pushTimes = []
+  const latencies = []
+  let chunks = 0
+  let writes = 0
+  let size = 0
+  let time = 0
+
+  tracer.streams.forEach((entry) => {
+    streams[entry.name] = { peak: 0, area: 0, size: 0, limit: entry.stream.bufferLimit }
+    if (entry.stream._readableState) {
+      Object.assign(streams[entry.name], { pushFalse: 0, pausedTime: 0, paused: false, ended: false })
+    }
+    if (entry.stream._writableState) {
+      streams[entry.name].drains = 0
+    }
+  })
+
+  function listener(event) {
+    Object.keys(streams).forEach((name) => {
+      const stream = streams[name]
+      stream.area += stream.size * (event.time - time)
+      if (stream.paused && !stream.ended) {
+        stream.pausedTime += event.time - time
+      }
+      stream.size = event.sizes[name] === undefined ? stream.size : event.sizes[name]
+      stream.peak = Math.max(stream.peak, stream.size)
+      if (event.state[name]) {
+        stream.paused = event.state[name].paused
+      }
+    })
+    time = event.time
+    const stream = streams[event.stream]
+    if (event.type === 'push' && !event.eof && !event.response) {
+      stream.pushFalse++
+    }
+    if (event.type === 'drain') {
+      stream.drains++
+    }
+    if (event.type === 'end') {
+      stream.ended = true
+    }
+    if (event.type === 'push' && !event.eof && event.stream === sourceName) {
+      pushTimes.push(event.time)
+    }
+    if (/^writev?-complete$/.test(event.type) && !event.message && event.stream === sinkName) {
+      const written = event.type === 'writev-complete' ? event.chunks : 1
+      writes++
+      chunks += written
+      size += event.chunkSize
+      for (let i = 0; i < written && sourceName && pushTimes.length; i++) {
+        latencies.push(event.time - pushTimes.shift())
+      }
+    }
+  }
+
+  function summary() {
+    const perSecond = (count) => (time ? Math.round(count / time * 1000 * 10) / 10 : 0)
+    const result = {
+      time,
+      sink: sinkName,
+      chunks,
+      writes,
+      size,
+      unit: sink.bufferUnit,
+      chunksPerSecond: perSecond(chunks),
+      sizePerSecond: perSecond(size),
+      streams: {}
+    }
+    Object.keys(streams).forEach((name) => {
+      const stream = streams[name]
+      const entry = {
+        peakOccupancy: stream.peak,
+        averageOccupancy: time ? Math.round(stream.area / time * 10) / 10 : 0,
+        limit: stream.limit
+      }
+      if (stream.pushFalse !== undefined) {
+        Object.assign(entry, { pushFalse: stream.pushFalse, pausedTime: stream.pausedTime })
+      }
+      if (stream.drains !== undefined) {
+        entry.drains = stream.drains
+      }
+      result.streams[name] = entry
+    })
+    if (sourceName) {
+      result.latency = {
+        source: sourceName,
+        min: latencies.length ? Math.min(...latencies) : 0,
+        average: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : 0,
+        max: latencies.length ? Math.max(...latencies) : 0,
+        perChunk: latencies.slice()
+      }
+    }
+    return result
+  }
+
+  tracer.on('event', listener)
+  return { summary, stop: () => tracer.removeListener('event', listener) }
+}
+
+// The lines of a metrics summary as printed at the end of a run.
+function formatMetrics(metrics) {
+  const lines = [
+    `${metrics.sink} completed ${metrics.chunks} chunks, ${metrics.size} ${metrics.unit} in ${metrics.time}ms: ` +
+      `${metrics.chunksPerSecond} chunks/s, ${metrics.sizePerSecond} ${metrics.unit}/s`
+  ]
+  if (metrics.writes !== metrics.chunks) {
+    const perCall = Math.round(metrics.chunks / metrics.writes * 10) / 10
+    lines.push(`  in ${metrics.writes} write calls, ${perCall} chunks each`)
+  }
+  if (metrics.latency) {
+    const latency = metrics.latency
+    lines.push(`Latency from ${latency.source} push to ${metrics.sink} write complete: min ${latency.min}ms, ` +
+      `average ${latency.average}ms, max ${latency.max}ms`)
+    lines.push(`  per chunk (ms): ${latency.perChunk.join(' ')}`)
+  }
+  const columns = [
+    ['Stream', (name) => name],
+    ['push false', (name, stream) => (stream.pushFalse === undefined ? '-' : String(stream.pushFalse))],
+    ['paused', (name, stream) => (stream.pausedTime === undefined ? '-' : `${stream.pausedTime}ms`)],
+    ['drains', (name, stream) => (stream.drains === undefined ? '-' : String(stream.drains))],
+    ['peak', (name, stream) => `${stream.peakOccupancy}/${stream.limit}`],
+    ['average', (name, stream) => `${stream.averageOccupancy}/${stream.limit}`]
+  ]
+  const rows = Object.keys(metrics.streams).map((name) => {
+    return columns.map((column) => column[1](name, metrics.streams[name]))
+  })
+  const widths = columns.map((column, i) => Math.max(column[0].length, ...rows.map((row) => row[i].length)))
+  const format = (cells) => cells.map((cell, i) => cell + Array(widths[i] - cell.length + 1).join(' ')).join('  ').trim()
+  lines.push('', format(columns.map((column) => column[0])))
+  rows.forEach((row) => lines.push(format(row)))
+  return lines
+}
+
+// The lines comparing the write calls and throughput of several sinks' summaries, one sink per line.
+function compareMetrics(summaries) {
+  const rows = summaries.map((metrics) => [
+    metrics.sink,
+    `${metrics.chunks} chunks`,
+    `${metrics.writes} write calls`,
+    `${metrics.writes ? Math.round(metrics.chunks / metrics.writes * 10) / 10 : 0} chunks/call`,
+    `${metrics.time}ms`,
+    `${metrics.sizePerSecond} ${metrics.unit}/s`
+  ])
+  const widths = rows[0].map((cell, i) => Math.max(...rows.map((row) => row[i].length)))
+  return rows.map((row) => row.map((cell, i) => cell + Array(widths[i] - cell.length + 1).join(' ')).join('  ').trim())
+}
+
+module.exports = {
+  trackMetrics,
+  formatMetrics,
+  compareMetrics
+}
@@ -0,0 +1,148 @@
+'use strict'
+
+const metrics = require('./metrics')
+const output = require('./output')
+const render = require('./render')
+const state = require('./state')
+
+/*
+  Monitors subscribe to a Tracer and react to the events it records. Each returns a function that unsubscribes.
+*/
+
+function subscribe(tracer, listener) {
+  tracer.on('event', listener)
+  return () => tracer.removeListener('event', listener)
+}
+
+// Prints the buffers of the given streams whenever one of their lengths or sizes changes, with `print` if given
+// (called with the streams) or else printBuffers.
+function monitorBuffers(tracer, streams, print) {
+  print = print || render.printBuffers
+  const names = streams.map((stream) => tracer.nameOf(stream))
+  let lengths = []
+  return subscribe(tracer, (event) => {
+    const current = names.map((name) => `${event.buffers[name]} ${event.sizes[name]}`)
+    if (current.some((length, i) => length !== lengths[i])) {
+      lengths = current
+      print(...streams)
+    }
+  })
+}
+
+/*
+  For streams a tracer can't attach to, like web streams: returns a function to call whenever something may have
+  changed, which prints the buffers of the given streams, with `print` or else printBuffers, if one of their lengths
+  or sizes has.
+*/
+function printOnChange(streams, print) {
+  print = print || render.printBuffers
+  let lengths = ''
+  return () => {
+    const current = streams.map((stream) => `${stream.getBufferLength()} ${stream.getBufferSize()}`).join()
+    if (current !== lengths) {
+      lengths = current
+      print(...streams)
+    }
+  }
+}
+
+function monitorPaused(tracer, readable) {
+  const name = tracer.nameOf(readable)
+  let paused = true
+  return subscribe(tracer, (event) => {
+    const isPaused = event.state[name].paused
+    if (paused !== isPaused) {
+      if (isPaused) {
+        output.log('bad', 'Source paused')
+      } else {
+        output.log('good', 'Source unpaused')
+      }
+      paused = isPaused
+    }
+  })
+}
+
+// What each value of readableFlowing says about a readable: [style, explanation].
+const FLOWING_STATES = {
+  null: ['plain', "nothing has chosen how to consume it yet: no pipe, 'data' or 'readable' listener, or resume()"],
+  true: ['good', "flowing, each chunk goes out as a 'data' event as soon as it can"],
+  false: ['bad', 'paused, chunks wait in the buffer for read() or resume()']
+}
+
+// Logs every change of the readable's readableFlowing, which is null until something consumes it, and then true
+// (flowing mode) or false (paused mode).
+function monitorFlowing(tracer, readable) {
+  const name = tracer.nameOf(readable)
+  let flowing = state.inspect(readable, 'readableFlowing')
+  return subscribe(tracer, (event) => {
+    const isFlowing = event.state[name].flowing
+    if (flowing !== isFlowing) {
+      const described = FLOWING_STATES[isFlowing]
+      output.log(described[0], `${name} readableFlowing ${flowing} -> ${isFlowing}: ${described[1]}`)
+      flowing = isFlowing
+    }
+  })
+}
+
+// One line on where each stream stands: buffered chunks, and whether it is flowing, piped, draining or destroyed.
+function describePipeState(streams) {
+  return streams.map((stream) => {
+    const flags = []
+    if (stream._readableState) {
+      flags.push(stream.isPaused() ? 'paused' : 'not paused')
+      flags.push(`flowing ${state.inspect(stream, 'readableFlowing')}`)
+      flags.push(`piped to ${state.pipesOf(stream).length}`)
+    }
+    if (stream._writableState) {
+      flags.push(state.inspect(stream, 'writableNeedDrain') ? 'needs drain' : 'no drain needed')
+    }
+    if (stream.destroyed) {
+      flags.push('destroyed')
+    }
+    return `${stream.name} ${stream.getBufferLength()} buffered, ${flags.join(', ')}`
+  }).join(' | ')
+}
+
+// Reports each planned fault as it happens, with the state of the streams at that moment and once it has settled.
+function monitorFaults(tracer, streams) {
+  return subscribe(tracer, (event) => {
+    if (event.type !== 'fault') {
+      return
+    }
+    const at = event.at ? ` at #${event.at}` : ''
+    output.log('fault', `${event.stream} fault: ${event.fault}${at}${event.effect ? `, ${event.effect}` : ''}`)
+    output.log('detail', `  before: ${describePipeState(streams)}`)
+    tracer.clock.setTimeout(() => {
+      output.log('detail', `  after:  ${describePipeState(streams)}`)
+    }, 0)
+  })
+}
+
+// Prints a metrics summary when `sink` finishes, see trackMetrics. With `source`, it includes each chunk's latency.
+function monitorMetrics(tracer, sink, source) {
+  const tracked = metrics.trackMetrics(tracer, sink, source)
+  const sinkName = tracer.nameOf(sink)
+  const unsubscribe = subscribe(tracer, (event) => {
+    if (event.type === 'finish' && event.stream === sinkName) {
+      const summary = tracked.summary()
+      const lines = metrics.formatMetrics(summary)
+      // after the example has logged the finish
+      tracer.clock.setTimeout(() => {
+        output.report('metrics', [output.STYLES.heading(lines[0])].concat(lines.slice(1)), summary)
+      }, 0)
+    }
+  })
+  return () => {
+    tracked.stop()
+    unsubscribe()
+  }
+}
+
+module.exports = {
+  monitorBuffers,
+  printOnChange,
+  monitorFaults,
+  monitorPaused,
+  monitorFlowing,
+  monitorMetrics
+}
@@ -0,0 +1,128 @@
+'use strict'
+
+const Chalk = require('chalk').constructor
+
+// Colors whether or not stdout is a terminal: the plain and json renderers are how to do without them.
+const chalk = new Chalk({ enabled: true })
+
+/*
+  Everything the examples print goes through here, to one of three renderers:
+
+    color   chalk colors and backgrounds, for a terminal
+    plain   the same text without escape codes, for CI logs and anything else that isn't a terminal
+    json    one JSON object per line, for other programs to read:
+              { "type": "message", "style": "push", "text": "Source._push #1 response: true" }
+              { "type": "buffers", "layout": "buffers", "streams": [{ "name": "Source", "chunks": 1, ... }] }
+              { "type": "metrics", "chunks": 10, ... }
+
+  Messages have a style, which the color renderer draws and the json one passes on, as a hint to what the message is
+  about. Drawings (printBuffers, printFanOut and printFanIn) and reports (the metrics at the end of a run) come as the
+  lines to print plus the data behind them, for the json renderer. Messages written with error() go to stderr, except
+  with json, where everything goes to stdout.
+
+  The renderer is color when stdout is a terminal and plain otherwise, unless use() picks one.
+*/
+
+const STYLES = {
+  plain: (text) => text,
+  read: chalk.white.bgBlue,
+  push: chalk.black.bgCyan,
+  write: chalk.black.bgYellow,
+  good: chalk.black.bgGreen, // drains, resumes, things flowing again
+  bad: chalk.bold.white.bgRed, // ends, errors, pauses, full buffers
+  fault: chalk.bold.white.bgMagenta,
+  detail: chalk.magenta,
+  heading: chalk.bold,
+  dim: chalk.dim,
+  green: chalk.green,
+  yellow: chalk.yellow,
+  red: chalk.red
+}
+
+function stripColors(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, '')
+}
+
+// Printing happens through console.log, console.error and process.stdout.write as they are at the time, so they
+// can be silenced.
+const RENDERERS = {
+  color: {
+    log: (style, text) => console.log(STYLES[style](text)),
+    error: (style, text) => console.error(STYLES[style](text)),
+    drawing: (layout, lines) => console.log(['', ...lines, ''].join('\n')),
+    report: (type, lines) => console.log(['', ...lines, ''].join('\n')),
+    write: (text) => process.stdout.write(text)
+  },
+  plain: {
+    log: (style, text) => console.log(text),
+    error: (style, text) => console.error(text),
+    drawing: (layout, lines) => console.log(['', ...lines, ''].map(stripColors).join('\n')),
+    report: (type, lines) => console.log(['', ...lines, ''].map(stripColors).join('\n')),
+    write: (text) => process.stdout.write(stripColors(text))
+  },
+  json: {
+    log: (style, text) => text && console.log(JSON.stringify({ type: 'message', style, text })),
+    error: (style, text) => text && console.log(JSON.stringify({ type: 'message', style, text, error: true })),
+    drawing: (layout, lines, streams) => console.log(JSON.stringify({ type: 'buffers', layout, streams })),
+    report: (type, lines, data) => console.log(JSON.stringify(Object.assign({ type }, data))),
+    write: () => {}
+  }
+}
+
+const MODES = Object.keys(RENDERERS)
+
+let renderer = RENDERERS[process.stdout.isTTY ? 'color' : 'plain']
+
+// Picks the renderer by name, or by whether stdout is a terminal if `mode` is undefined.
+function use(mode) {
+  if (mode === undefined) {
+    mode = process.stdout.isTTY ? 'color' : 'plain'
+  }
+  if (!RENDERERS[mode]) {
+    throw new Error(`Unknown output ${mode}, expected one of ${MODES.join(', ')}`)
+  }
+  renderer = RENDERERS[mode]
+}
+
+function checkStyle(style) {
+  if (!STYLES[style]) {
+    throw new Error(`Unknown style ${style}`)
+  }
+}
+
+function log(style, text) {
+  checkStyle(style)
+  renderer.log(style, text)
+}
+
+function error(style, text) {
+  checkStyle(style)
+  renderer.error(style, text)
+}
+
+function drawing(layout, lines, streams) {
+  renderer.drawing(layout, lines, streams)
+}
+
+// A summary printed as `lines`, or for json as `data` with the given type.
+function report(type, lines, data) {
+  renderer.report(type, lines, data)
+}
+
+// Part of a line, for drawings made up piece by piece. The json renderer leaves these out.
+function write(text) {
+  renderer.write(text)
+}
+
+module.exports = {
+  MODES,
+  chalk,
+  STYLES,
+  use,
+  log,
+  error,
+  drawing,
+  report,
+  write,
+  stripColors
+}
@@ -0,0 +1,139 @@
+'use strict'
+
+const path = require('path')
+const defaults = require('./defaults')
+const output = require('./output')
+const state = require('./state')
+
+// Frames from here (this file, the Tracer, Source and the other instrumented streams) and from Node.js itself are
+// skipped when looking for the code that called write or push.
+const INSTRUMENTATION_DIR = __dirname + path.sep
+const INTERNAL_FRAME = /\((node:|internal\/)|at (node:|internal\/)|\(events\.js|\(_stream_/
+
+/*
+  Watches the buffers of the given streams for producers that don't respect backpressure: code that keeps calling
+  write() after it returned false, before 'drain', or push() while the readable buffer is at its highWaterMark. Both
+  are accepted, and the buffer grows for as long as the producer keeps on.
+
+  After every write and push, writableLength and readableLength are checked against the highWaterMark. Once one is
+  more than `multiple` times it (defaults.OVERFLOW_MULTIPLE), a warning is given, then again each time it doubles,
+  until the buffer is back under its highWaterMark:
+
+    { stream, side: 'writable' | 'readable', method: 'write' | 'push', length, highWaterMark, multiple, unit,
+      ignored, callSite }
+
+  `ignored` is how many calls were made since backpressure was signaled, and `callSite` the stack frame of the call
+  that took the buffer over, e.g. "Object.produce [as fn] (lib/ignored-backpressure.js:89:29)". Warnings go to
+  options.onWarning, or are printed.
+
+  write and push are wrapped on each stream, like Tracer.attach does. Returns a function that stops watching.
+*/
+function detectOverflow(streams, options) {
+  options = Object.assign({ multiple: defaults.OVERFLOW_MULTIPLE, onWarning: printWarning }, options)
+  const stops = []
+  streams.forEach((stream) => {
+    if (stream._readableState && typeof stream.push === 'function') {
+      stops.push(watch(stream, 'readable', options))
+    }
+    if (stream._writableState && typeof stream.write === 'function') {
+      stops.push(watch(stream, 'writable', options))
+    }
+  })
+  return () => stops.forEach((stop) => stop())
+}
+
+const SIDES = {
+  readable: {
+    method: 'push',
+    length: (stream) => state.readableBufferSize(stream),
+    highWaterMark: (stream) => state.inspect(stream, 'readableHighWaterMark'),
+    objectMode: (stream) => state.inspect(stream, 'readableObjectMode'),
+    // push returns false once the buffer reaches its highWaterMark, and the stream calls _read when it wants more
+    ignoring: (stream, chunk) => {
+      return chunk !== null && state.readableBufferSize(stream) >= state.inspect(stream, 'readableHighWaterMark')
+    }
+  },
+  writable: {
+    method: 'write',
+    length: (stream) => state.writableBufferSize(stream),
+    highWaterMark: (stream) => state.inspect(stream, 'writableHighWaterMark'),
+    objectMode: (stream) => state.inspect(stream, 'writableObjectMode'),
+    // write returned false and 'drain' hasn't been emitted since
+    ignoring: (stream) => state.inspect(stream, 'writableNeedDrain')
+  }
+}
+
+function watch(stream, sideName, options) {
+  const side = SIDES[sideName]
+  const method = side.method
+  const original = stream[method]
+  let stopped = false
+  let ignored = 0
+  let warnAt = options.multiple
+
+  const wrapper = function (chunk) {
+    if (stopped) {
+      return original.apply(stream, arguments)
+    }
+    if (side.ignoring(stream, chunk)) {
+      ignored++
+    } else {
+      ignored = 0
+    }
+    const response = original.apply(stream, arguments)
+    const length = side.length(stream)
+    const highWaterMark = side.highWaterMark(stream)
+    if (highWaterMark > 0 && length <= highWaterMark) {
+      warnAt = options.multiple
+    } else if (highWaterMark > 0 && length > warnAt * highWaterMark) {
+      while (length > warnAt * highWaterMark) {
+        warnAt *= 2
+      }
+      options.onWarning({
+        stream: stream.name || stream.constructor.name,
+        side: sideName,
+        method,
+        length,
+        highWaterMark,
+        multiple: Math.round(length / highWaterMark * 10) / 10,
+        unit: state.bufferUnit(side.objectMode(stream)),
+        ignored,
+        callSite: callSite(wrapper)
+      })
+    }
+    return response
+  }
+  stream[method] = wrapper
+
+  return () => {
+    stopped = true
+    if (stream[method] === wrapper) {
+      stream[method] = original
+    }
+  }
+}
+
+// The first stack frame above `fn` that isn't the instrumentation's or Node.js's, without the "at" and with paths
+// relative to the working directory.
+function callSite(fn) {
+  const holder = {}
+  Error.captureStackTrace(holder, fn)
+  const frame = holder.stack.split('\n').slice(1).find((line) => {
+    return line.indexOf(INSTRUMENTATION_DIR) === -1 && !INTERNAL_FRAME.test(line)
+  })
+  if (!frame) {
+    return 'unknown'
+  }
+  return frame.trim().replace(/^at /, '').split(process.cwd() + path.sep).join('')
+}
+
+function printWarning(warning) {
+  output.log('fault', `${warning.stream} ${warning.side} buffer at ${warning.length} ${warning.unit}, ` +
+    `${warning.multiple}x its highWaterMark of ${warning.highWaterMark}`)
+  output.log('detail', `  ${warning.method}() called ${warning.ignored} time${warning.ignored === 1 ? '' : 's'} ` +
+    `since it signaled backpressure, the last from ${warning.callSite}`)
+}
+
+module.exports = {
+  detectOverflow
+}
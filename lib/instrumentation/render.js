@@ -0,0 +1,194 @@
+'use strict'
+
+const output = require('./output')
+const state = require('./state')
+
+const chalk = output.chalk
+
+const GAP_LENGTH = 20
+const BUFFER_WIDTH = 12 // cells between the walls of a drawn buffer, whatever its highWaterMark
+
+function gap(gapLength) {
+  return Array(gapLength).fill(' ').join('')
+}
+
+function padEnd(text, length) {
+  return text + Array(Math.max(length - text.length, 1)).fill(' ').join('')
+}
+
+function columnLength() {
+  return BUFFER_WIDTH + 2 + GAP_LENGTH
+}
+
+// What the json output gives for a drawn stream, in place of the drawing.
+function snapshot(stream, flags) {
+  const entry = {
+    name: stream.name || stream.constructor.name,
+    chunks: stream.getBufferLength(),
+    size: stream.getBufferSize(),
+    limit: stream.bufferLimit,
+    unit: stream.bufferUnit
+  }
+  if (stream.completeId !== undefined) {
+    entry.completed = stream.completeId
+  }
+  if (stream.pushCount !== undefined) {
+    entry.pushed = stream.pushCount
+  }
+  if (flags) {
+    entry.flags = flags.map(output.stripColors)
+  }
+  return entry
+}
+
+/*
+  Draws the buffers of each stream side by side, in the order given (source first, sink last), plus the number of
+  chunks the last stream has completed.
+
+  Each buffer is drawn filled in proportion to its occupancy against its highWaterMark, in bytes, or in objects
+  for object mode streams, so chunks of any size can be drawn. A buffer past its highWaterMark overflows its right
+  wall. Above each buffer is the number of chunks in it, below it the occupancy.
+
+  Any stream with a name, getBufferLength(), getBufferSize(), bufferLimit (its highWaterMark) and bufferUnit can be
+  drawn.
+*/
+function printBuffers(...streams) {
+  const sink = streams[streams.length - 1]
+  const borders = streams.map(() => bufferBorder()).join(gap(GAP_LENGTH))
+  output.drawing('buffers', [
+    streams.map((stream) => {
+      return padEnd(`${stream.name || stream.constructor.name} Buffer (${stream.getBufferLength()})`, columnLength())
+    }).join('') + 'Completed chunks',
+    borders,
+    streams.map((stream) => formatBufferContents(stream) + gap(GAP_LENGTH)).join('') +
+      chalk.green(`          ${sink.completeId}`),
+    borders,
+    streams.map((stream) => {
+      return padEnd(`${stream.getBufferSize()}/${stream.bufferLimit} ${stream.bufferUnit}`, columnLength())
+    }).join('').trim()
+  ], streams.map((stream) => snapshot(stream)))
+}
+
+/*
+  Draws a source piping into several sinks: the source buffer on the left, and a row per sink on the right with its
+  queue, the chunks it has completed and where it stands with the source. The sinks holding the source back (the
+  ones it is waiting on to drain) are marked, as are sinks the source isn't piping into (yet, or any more).
+*/
+function printFanOut(source, ...sinks) {
+  const pipes = state.pipesOf(source)
+  const flagsOf = (sink) => {
+    const flags = []
+    if (pipes.indexOf(sink) === -1) {
+      flags.push(chalk.bold.red('not piped'))
+    } else if (state.inspect(sink, 'writableNeedDrain')) {
+      flags.push(chalk.bold.yellow('needs drain'))
+    }
+    if (sink.destroyed) {
+      flags.push(chalk.bold.red('destroyed'))
+    }
+    return flags
+  }
+  const rows = streamRows(sinks, (sink) => `${sink.completeId} done`, flagsOf)
+  printColumns('fan-out', streamBlock(source), rows, columnLength(),
+    [snapshot(source)].concat(sinks.map((sink) => snapshot(sink, flagsOf(sink)))))
+}
+
+/*
+  Draws several sources piping into one sink: a row per source on the left, with its buffer, the chunks it has
+  pushed and whether it is paused, ended or no longer piping into the sink, and the sink buffer on the right.
+*/
+function printFanIn(...streams) {
+  const sink = streams[streams.length - 1]
+  const sources = streams.slice(0, -1)
+  const flagsOf = (source) => {
+    const flags = []
+    if (state.inspect(source, 'readableEnded')) {
+      flags.push(chalk.bold.red('ended'))
+    } else if (state.pipesOf(source).indexOf(sink) === -1) {
+      flags.push(chalk.bold.red('not piped'))
+    } else if (source.isPaused()) {
+      flags.push(chalk.bold.yellow('paused'))
+    }
+    return flags
+  }
+  const rows = streamRows(sources, (source) => `${source.pushCount} pushed`, flagsOf)
+  printColumns('fan-in', rows, streamBlock(sink).concat(chalk.green(`${sink.completeId} done`)), rowLength(sources),
+    sources.map((source) => snapshot(source, flagsOf(source))).concat(snapshot(sink)))
+}
+
+// A buffer drawn the way printBuffers draws it, one line per item.
+function streamBlock(stream) {
+  return [
+    `${stream.name || stream.constructor.name} Buffer (${stream.getBufferLength()})`,
+    bufferBorder(),
+    formatBufferContents(stream),
+    bufferBorder(),
+    `${stream.getBufferSize()}/${stream.bufferLimit} ${stream.bufferUnit}`
+  ]
+}
+
+// A line per stream: its name and chunk count, its buffer, its occupancy, `count(stream)` and `flags(stream)`.
+function streamRows(streams, count, flags) {
+  const nameLength = Math.max(...streams.map((stream) => stream.name.length)) + 6
+  return streams.map((stream) => {
+    return [
+      padEnd(`${stream.name} (${stream.getBufferLength()})`, nameLength),
+      formatBufferContents(stream),
+      ' ',
+      padEnd(`${stream.getBufferSize()}/${stream.bufferLimit} ${stream.bufferUnit}`, 16),
+      chalk.green(padEnd(count(stream), 10)),
+      flags(stream).join(', ')
+    ].join('').trim()
+  })
+}
+
+// The room streamRows lines take up, whatever their flags, plus a gap.
+function rowLength(streams) {
+  const nameLength = Math.max(...streams.map((stream) => stream.name.length)) + 6
+  return nameLength + BUFFER_WIDTH + 3 + 16 + 10 + 'not piped'.length + GAP_LENGTH
+}
+
+// chalk codes don't take up any room on screen
+function visibleLength(text) {
+  return output.stripColors(text).length
+}
+
+// Draws `left` and `right` side by side, `right` starting at `leftLength`, as a `layout` drawing of `streams`.
+function printColumns(layout, left, right, leftLength, streams) {
+  const lines = []
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const line = left[i] || ''
+    lines.push((line + gap(Math.max(leftLength - visibleLength(line), 1)) + (right[i] || '')).replace(/\s+$/, ''))
+  }
+  output.drawing(layout, lines, streams)
+}
+
+// A buffer's contents as drawn by printBuffers, as a string: |/////       |
+function formatBufferContents(stream) {
+  const size = stream.getBufferSize()
+  const bufferContentsArray = Array(BUFFER_WIDTH).fill(' ', 0)
+  const filled = stream.bufferLimit ? Math.ceil(size / stream.bufferLimit * BUFFER_WIDTH) : 0
+  bufferContentsArray.fill('/', 0, filled)
+  return '|' + chalk.green(bufferContentsArray.join('')) + (size > stream.bufferLimit ? chalk.bold.red('>') : '|')
+}
+
+function bufferBorder() {
+  return Array(BUFFER_WIDTH + 2).fill('-', 0).join('')
+}
+
+function printBufferContents(stream) {
+  output.write(formatBufferContents(stream))
+}
+
+function printBufferBorder() {
+  output.write(bufferBorder())
+}
+
+module.exports = {
+  printBuffers,
+  printFanOut,
+  printFanIn,
+  printBufferContents,
+  formatBufferContents,
+  printBufferBorder
+}
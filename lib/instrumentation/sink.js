@@ -0,0 +1,106 @@
+'use strict'
+
+const stream = require('stream')
+const defaults = require('./defaults')
+const state = require('./state')
+const realClock = require('./clock').realClock
+const faults = require('./faults')
+
+/*
+  A writable stream that takes `writeInterval` ms to write each chunk.
+
+  The chunk currently being written counts towards the buffer length: the sink's highWaterMark includes it,
+  even though the writable state doesn't report it as buffered.
+
+  `faults` lists failures to act out, see faults.js.
+
+  Emits three extra events:
+  - 'write' ({ id, chunk }) when Sink._write starts
+  - 'written' ({ id, chunk }) when the write completes, just before the callback is called
+  - 'fault' ({ type, at }) just before a planned fault acts, which for callback faults is when the write completes,
+    with an `effect` for double-callback
+*/
+class Sink extends stream.Writable {
+  constructor(options) {
+    options = Object.assign({
+      decodeStrings: false,
+      highWaterMark: defaults.SINK_HIGH_WATER_MARK,
+      writeInterval: defaults.WRITE_INTERVAL,
+      chunkData: defaults.CHUNK_DATA
+    }, options)
+    super(options)
+    this.name = options.name || this.constructor.name
+    this.writeInterval = options.writeInterval
+    this.faults = faults.validateFaults(options.faults || [], faults.SINK_FAULTS, 'Sink')
+    this.clock = options.clock || realClock
+    this.writeId = 0
+    this.completeId = 0
+    this.bufferCapacity = state.chunkCapacity(options)
+    this.bufferLimit = options.highWaterMark
+    this.bufferUnit = state.bufferUnit(options.objectMode)
+    this.bufferLength = 0
+    this.isWriting = false
+    this.setDefaultEncoding('utf8')
+  }
+
+  getBufferLength() {
+    const bufferLength = state.writableBufferLength(this)
+    const writingBuffer = this.isWriting ? 1 : 0
+    return bufferLength + writingBuffer
+  }
+
+  getBufferSize() {
+    return state.writableBufferSize(this)
+  }
+
+  // Nothing in Node.js catches a throw from _write. It escapes into whatever started the write: write() itself, or
+  // for a queued chunk the callback of the write before it, which runs from a timer. Under a pipe either way ends in
+  // a timer, and the process crashes with an uncaught exception.
+  _write(chunk, enc, cb) {
+    this._startWrite(chunk, enc, cb)
+  }
+
+  _startWrite(chunk, enc, cb) {
+    this.writeId++
+    const fault = faults.faultAt(this.faults, this.writeId)
+    const faultType = fault && fault.type
+    if (faultType === 'throw') {
+      this.emit('fault', fault)
+      throw new Error('Test sink error')
+    }
+    if (faultType === 'destroy') {
+      this.emit('fault', fault)
+      return this.destroy(new Error('Test sink error'))
+    }
+    this.isWriting = true
+    this.emit('write', { id: this.writeId, chunk })
+    this.clock.setTimeout(() => {
+      if (faultType === 'no-callback') {
+        return this.emit('fault', fault)
+      }
+      this.completeId++
+      this.isWriting = false
+      this.emit('written', { id: this.completeId, chunk })
+      if (faultType === 'callback') {
+        this.emit('fault', fault)
+        return cb(new Error('Test sink error'))
+      }
+      cb()
+      if (faultType === 'double-callback') {
+        // Node.js takes the second call for the callback of whatever write it has going, which the first call will
+        // have started if a chunk was queued. With none, it errors, unless the sink has finished by then.
+        const effect = this.isWriting
+          ? `completes _write #${this.writeId} early`
+          : 'completes no write, so Node.js emits ERR_MULTIPLE_CALLBACK unless the sink has finished'
+        this.emit('fault', Object.assign({ effect }, fault))
+        cb()
+      }
+    }, this.writeInterval)
+    if (faultType === 'emit') {
+      this.emit('fault', fault)
+      this.emit('error', new Error('Test sink error'))
+    }
+  }
+}
+
+module.exports = Sink
@@ -0,0 +1,140 @@
+'use strict'
+
+const stream = require('stream')
+const defaults = require('./defaults')
+const state = require('./state')
+const realClock = require('./clock').realClock
+const faults = require('./faults')
+
+/*
+  A readable stream that pushes `chunkData` every `readInterval` ms, `readCount` times, then pushes null.
+
+  `chunkType` is what gets pushed: 'string' (the default), 'buffer' for raw Buffers, or 'object' for { id, data }
+  objects in object mode. `chunkSizes` makes chunks vary in size, cycling through the list: each chunk is
+  `chunkData` repeated or cut to the next size, in characters. `burstSize` makes each produce push that many copies
+  of the chunk at once (1 by default), the way a socket can hand over several messages from one read, whatever push
+  returns along the way.
+  Time is kept by `clock`, real timers unless a VirtualClock is given. `faults` lists failures to act out, see
+  faults.js.
+
+  Emits three extra events so examples can log or render without reaching into the stream:
+  - 'read' (count) when Source._read is called
+  - 'push' ({ id, data, response }) after each push, with the value push returned
+  - 'fault' ({ type, at }) just before a planned fault happens
+*/
+const CHUNK_TYPES = ['string', 'buffer', 'object']
+
+class Source extends stream.Readable {
+  constructor(options) {
+    options = Object.assign({
+      highWaterMark: defaults.SOURCE_HIGH_WATER_MARK,
+      readCount: defaults.READ_COUNT,
+      readInterval: defaults.READ_INTERVAL,
+      chunkData: defaults.CHUNK_DATA,
+      chunkType: 'string',
+      burstSize: 1
+    }, options)
+    if (CHUNK_TYPES.indexOf(options.chunkType) === -1) {
+      throw new Error(`Unknown chunk type "${options.chunkType}", expected one of ${CHUNK_TYPES.join(', ')}`)
+    }
+    if (options.chunkType === 'object') {
+      options.objectMode = true
+    } else if (options.chunkType === 'string' && options.encoding === undefined) {
+      options.encoding = 'utf8'
+    }
+    super(options)
+    this.name = options.name || this.constructor.name
+    this.readCount = options.readCount
+    this.readInterval = options.readInterval
+    this.clock = options.clock || realClock
+    this.chunkData = options.chunkData
+    this.chunkType = options.chunkType
+    this.chunkSizes = options.chunkSizes
+    this.burstSize = options.burstSize
+    this.faults = faults.validateFaults(options.faults || [], faults.SOURCE_FAULTS, 'Source')
+    this.count = 0
+    this.pushCount = 0
+    this.bufferLength = 0
+    this.bufferCapacity = state.chunkCapacity(options)
+    this.bufferLimit = options.highWaterMark
+    this.bufferUnit = state.bufferUnit(options.objectMode)
+  }
+
+  getBufferLength() {
+    return state.readableBufferLength(this)
+  }
+
+  getBufferSize() {
+    return state.readableBufferSize(this)
+  }
+
+  // A throw from _read is passed to destroy(err), as Node.js 18 and later do. Before that it escapes into whatever
+  // called read(), which from a tick is nothing, and the process crashes.
+  _read(size) {
+    try {
+      this._startRead(size)
+    } catch (err) {
+      this.destroy(err)
+    }
+  }
+
+  _startRead(size) {
+    this.count++
+    this.emit('read', this.count)
+    const fault = faults.faultAt(this.faults, this.count, 'throw')
+    if (fault) {
+      this.emit('fault', fault)
+      throw new Error('Test source error')
+    }
+    this.clock.setTimeout(() => this._produce(), this.readInterval)
+  }
+
+  // Called once the read interval has passed. Subclasses can override it to inject behavior around the push.
+  _produce() {
+    const fault = faults.faultAt(this.faults, this.count)
+    if (fault && fault.type === 'destroy') {
+      this.emit('fault', fault)
+      return this.destroy(new Error('Test source error'))
+    }
+    if (fault && fault.type === 'emit') {
+      this.emit('fault', fault)
+      this.emit('error', new Error('Test source error'))
+    }
+    // A string chunk counts against the highWaterMark by its length in characters, however many bytes it takes in
+    // memory. A Buffer counts by its length in bytes.
+    const data = this.count > this.readCount ? null : this._createChunk(this.count)
+    for (let i = 1; data !== null && i < this.burstSize; i++) {
+      this._pushChunk(this._createChunk(this.count))
+    }
+    const response = this._pushChunk(data)
+    if (data === null && faults.hasFault(this.faults, 'push-after-eof')) {
+      this.emit('fault', { type: 'push-after-eof' })
+      this._pushChunk(this._createChunk(this.count))
+    }
+    return response
+  }
+
+  _createChunk(n) {
+    let data = this.chunkData
+    if (this.chunkSizes && this.chunkSizes.length) {
+      const size = this.chunkSizes[(n - 1) % this.chunkSizes.length]
+      data = Array(Math.ceil(size / data.length) + 1).join(data).slice(0, size)
+    }
+    if (this.chunkType === 'buffer') {
+      return Buffer.from(data)
+    }
+    if (this.chunkType === 'object') {
+      return { id: n, data }
+    }
+    return data
+  }
+
+  _pushChunk(data) {
+    this.pushCount++
+    const response = this.push(data)
+    this.emit('push', { id: this.pushCount, data, response })
+    return response
+  }
+}
+
+module.exports = Source
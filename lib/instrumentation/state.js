@@ -0,0 +1,155 @@
+'use strict'
+
+/*
+  Reads stream state the same way across the instrumented streams and Node.js versions, through probes. Each piece
+  of state has a list of probes, public API first: readableLength, readableFlowing, writableNeedDrain and the like,
+  which came in over Node 9 to 15. Where there is none yet, or none at all (how many chunks are queued, which
+  writables a readable pipes into), a probe reads the internals, which have changed shape over the same versions:
+  the readable buffer went from a BufferList to an array, and the writable one from a linked list behind getBuffer()
+  to an array.
+
+  The first probe a stream has is used. probe(stream, property) gives the value and which probe read it, and
+  describeProbes(stream) which probe each property of a stream is read with.
+*/
+
+function publicProperty(name) {
+  return { name, public: true, available: (stream) => name in stream, read: (stream) => stream[name] }
+}
+
+function internal(name, available, read) {
+  return { name, public: false, available, read }
+}
+
+// The internal state each public property reads, for Node.js versions without it.
+function readableState(key) {
+  return internal(`_readableState.${key}`, () => true, (stream) => stream._readableState[key])
+}
+
+function writableState(key) {
+  return internal(`_writableState.${key}`, () => true, (stream) => stream._writableState[key])
+}
+
+const READABLE_PROBES = {
+  readableLength: [publicProperty('readableLength'), readableState('length')],
+  readableHighWaterMark: [publicProperty('readableHighWaterMark'), readableState('highWaterMark')],
+  readableObjectMode: [publicProperty('readableObjectMode'), readableState('objectMode')],
+  readableFlowing: [publicProperty('readableFlowing'), readableState('flowing')],
+  readableEnded: [publicProperty('readableEnded'), readableState('endEmitted')],
+  // chunks queued, waiting to be read. Where the buffer is an array, the chunks before bufferIndex have already
+  // been read.
+  readableBufferLength: [
+    internal('_readableState.buffer array', (stream) => Array.isArray(stream._readableState.buffer),
+      (stream) => stream._readableState.buffer.length - stream._readableState.bufferIndex),
+    internal('_readableState.buffer BufferList', () => true, (stream) => stream._readableState.buffer.length)
+  ],
+  // the writables it pipes into. Before Node 14 a single pipe was kept as the writable itself.
+  readablePipes: [
+    internal('_readableState.pipes', () => true, (stream) => {
+      const pipes = stream._readableState.pipes
+      return pipes ? [].concat(pipes) : []
+    })
+  ]
+}
+
+// While a queued chunk is handed to _write, its slot has already been emptied but the writable state hasn't moved
+// past it yet, so empty slots aren't counted.
+function countQueued(entries) {
+  return entries.filter((entry) => entry).length
+}
+
+const WRITABLE_PROBES = {
+  writableLength: [publicProperty('writableLength'), writableState('length')],
+  writableHighWaterMark: [publicProperty('writableHighWaterMark'), writableState('highWaterMark')],
+  writableObjectMode: [publicProperty('writableObjectMode'), writableState('objectMode')],
+  // the public property is false once the writable is ending or destroyed, whatever it was waiting for
+  writableNeedDrain: [publicProperty('writableNeedDrain'), writableState('needDrain')],
+  writableEnded: [publicProperty('writableEnded'), writableState('ending')],
+  writableFinished: [publicProperty('writableFinished'), writableState('finished')],
+  // chunks queued, not counting the one being written
+  writableBufferLength: [
+    internal('_writableState.buffered', (stream) => Array.isArray(stream._writableState.buffered),
+      (stream) => countQueued(stream._writableState.buffered.slice(stream._writableState.bufferedIndex))),
+    internal('_writableState.getBuffer()', () => true, (stream) => countQueued(stream._writableState.getBuffer()))
+  ]
+}
+
+const PROBES = Object.assign({}, READABLE_PROBES, WRITABLE_PROBES)
+
+function probeFor(stream, property) {
+  const probes = PROBES[property]
+  if (!probes) {
+    throw new Error(`Unknown stream state ${property}, expected one of ${Object.keys(PROBES).join(', ')}`)
+  }
+  return probes.find((candidate) => candidate.available(stream))
+}
+
+// Reads `property` of a stream: { value, probe, public }, with the name of the probe that read it and whether it is
+// public API.
+function probe(stream, property) {
+  const found = probeFor(stream, property)
+  return { value: found.read(stream), probe: found.name, public: found.public }
+}
+
+// The value of `property`, however it is read.
+function inspect(stream, property) {
+  return probeFor(stream, property).read(stream)
+}
+
+// Which probe each property of a stream is read with, for the sides it has: [{ property, probe, public }]
+function describeProbes(stream) {
+  const properties = Object.keys(stream._readableState ? READABLE_PROBES : {})
+    .concat(Object.keys(stream._writableState ? WRITABLE_PROBES : {}))
+  return properties.map((property) => {
+    const found = probeFor(stream, property)
+    return { property, probe: found.name, public: found.public }
+  })
+}
+
+// Chunks queued on a readable, waiting to be read.
+function readableBufferLength(stream) {
+  return inspect(stream, 'readableBufferLength')
+}
+
+// Chunks queued on a writable, not counting the one being written.
+function writableBufferLength(stream) {
+  return inspect(stream, 'writableBufferLength')
+}
+
+// What a readable's highWaterMark is measured against: bytes (characters, once decoded to strings), or objects in
+// object mode.
+function readableBufferSize(stream) {
+  return inspect(stream, 'readableLength')
+}
+
+// The same for a writable. It includes the chunk being written until its callback is called.
+function writableBufferSize(stream) {
+  return inspect(stream, 'writableLength')
+}
+
+// How many chunks of `chunkData` fit under `highWaterMark`. In object mode the highWaterMark counts chunks.
+function chunkCapacity(options) {
+  return options.objectMode ? options.highWaterMark : options.highWaterMark / Buffer.byteLength(options.chunkData)
+}
+
+function bufferUnit(objectMode) {
+  return objectMode ? 'objects' : 'bytes'
+}
+
+// The writables a readable is piping into.
+function pipesOf(readable) {
+  return inspect(readable, 'readablePipes')
+}
+
+module.exports = {
+  PROBES,
+  probe,
+  inspect,
+  describeProbes,
+  readableBufferLength,
+  writableBufferLength,
+  readableBufferSize,
+  writableBufferSize,
+  chunkCapacity,
+  bufferUnit,
+  pipesOf
+}
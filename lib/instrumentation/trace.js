@@ -0,0 +1,172 @@
+'use strict'
+
+const fs = require('fs')
+const output = require('./output')
+const render = require('./render')
+
+const TRACE_VERSION = 2
+
+/*
+  A trace file is JSON Lines. The first line is a header describing the streams, every line after it is one
+  Tracer event:
+
+    { "type": "header", "version": 2, "node": "v20.0.0",
+      "streams": [{ "name": "Source", "bufferCapacity": 4, "bufferLimit": 100, "bufferUnit": "bytes" }] }
+    { "seq": 1, "time": 0, "type": "resume", "stream": "Source", "buffers": { ... }, "sizes": { ... }, "state": { ... } }
+*/
+
+// Writes every event the tracer records to `file`. Call it once the streams are attached. Returns the write stream.
+function recordTrace(tracer, file) {
+  const out = fs.createWriteStream(file)
+  const header = {
+    type: 'header',
+    version: TRACE_VERSION,
+    node: process.version,
+    streams: tracer.streams.map((entry) => ({
+      name: entry.name,
+      bufferCapacity: entry.stream.bufferCapacity,
+      bufferLimit: entry.stream.bufferLimit,
+      bufferUnit: entry.stream.bufferUnit
+    }))
+  }
+  out.write(JSON.stringify(header) + '\n')
+  tracer.on('event', (event) => out.write(JSON.stringify(event) + '\n'))
+  return out
+}
+
+// Parses a trace file into { header, events }.
+function readTrace(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter((line) => line.trim())
+  const records = lines.map((line, i) => {
+    try {
+      return JSON.parse(line)
+    } catch (err) {
+      throw new Error(`${file}:${i + 1} is not valid JSON: ${err.message}`)
+    }
+  })
+  const header = records.shift()
+  if (!header || header.type !== 'header') {
+    throw new Error(`${file} does not start with a trace header`)
+  }
+  if (header.version !== TRACE_VERSION) {
+    throw new Error(`${file} is trace version ${header.version}, expected ${TRACE_VERSION}`)
+  }
+  return { header, events: records }
+}
+
+// Stands in for a stream when rendering a recorded buffer.
+function bufferView(stream) {
+  return {
+    name: stream.name,
+    bufferCapacity: stream.bufferCapacity,
+    bufferLimit: stream.bufferLimit,
+    bufferUnit: stream.bufferUnit,
+    bufferLength: 0,
+    bufferSize: 0,
+    completeId: 0,
+    getBufferLength() {
+      return this.bufferLength
+    },
+    getBufferSize() {
+      return this.bufferSize
+    }
+  }
+}
+
+function describeEvent(event) {
+  const details = []
+  if (event.response !== undefined) {
+    details.push(`response: ${event.response}`)
+  }
+  if (event.eof) {
+    details.push('null')
+  }
+  if (event.message) {
+    details.push(event.message)
+  }
+  return `#${event.seq} ${event.stream} ${event.type}${details.length ? ` (${details.join(', ')})` : ''}`
+}
+
+/*
+  The names of the streams drawn together when replaying a trace: each set piped into one another, as its pipe events
+  show, and the ones piped to nothing, in the order of the header. The live examples draw their pipelines apart the
+  same way. A trace whose pipe events don't name their source, from before they did, is drawn as one.
+*/
+function pipelines(trace) {
+  const names = trace.header.streams.map((stream) => stream.name)
+  const parent = {}
+  names.forEach((name) => {
+    parent[name] = name
+  })
+  const root = (name) => parent[name] === name ? name : root(parent[name])
+  const piped = {}
+  trace.events.forEach((event) => {
+    if (event.type === 'pipe' && parent[event.source] !== undefined) {
+      parent[root(event.source)] = root(event.stream)
+      piped[event.source] = true
+      piped[event.stream] = true
+    }
+  })
+  const unpiped = names.filter((name) => !piped[name])
+  unpiped.forEach((name) => {
+    parent[name] = unpiped[0]
+  })
+  const groups = {}
+  names.forEach((name) => {
+    groups[root(name)] = (groups[root(name)] || []).concat(name)
+  })
+  return Object.keys(groups).map((key) => groups[key])
+}
+
+/*
+  Re-renders a trace through printBuffers, a drawing per pipeline, keeping the recorded gaps between events divided
+  by `speed`. A speed of 0 replays without waiting. Calls `done` after the last event.
+*/
+function replayTrace(trace, options, done) {
+  const speed = options && options.speed !== undefined ? options.speed : 1
+  const views = {}
+  trace.header.streams.forEach((stream) => {
+    views[stream.name] = bufferView(stream)
+  })
+  const drawings = pipelines(trace).map((names) => names.map((name) => views[name]))
+  let i = 0
+
+  function step() {
+    if (i >= trace.events.length) {
+      return done && done()
+    }
+    const event = trace.events[i++]
+    const completed = views[event.stream]
+    if (event.type === 'write-complete' && completed) {
+      completed.completeId++
+    }
+    if (event.type === 'writev-complete' && completed) {
+      completed.completeId += event.chunks
+    }
+    output.log('dim', describeEvent(event))
+    const changed = Object.keys(views).map((name) => views[name]).filter((view) => {
+      const length = event.buffers[view.name]
+      const size = event.sizes[view.name]
+      const differs = (length !== undefined && length !== view.bufferLength) ||
+        (size !== undefined && size !== view.bufferSize)
+      view.bufferLength = length === undefined ? view.bufferLength : length
+      view.bufferSize = size === undefined ? view.bufferSize : size
+      return differs
+    })
+    drawings.forEach((streams) => {
+      if (streams.some((view) => changed.indexOf(view) !== -1)) {
+        render.printBuffers(...streams)
+      }
+    })
+    const next = trace.events[i]
+    setTimeout(step, next && speed ? (next.time - event.time) / speed : 0)
+  }
+
+  step()
+}
+
+module.exports = {
+  recordTrace,
+  readTrace,
+  replayTrace
+}
@@ -0,0 +1,197 @@
+'use strict'
+
+const EventEmitter = require('events')
+const realClock = require('./clock').realClock
+const state = require('./state')
+
+// Stream events worth recording. Listening for them would change behavior ('data' switches a readable into
+// flowing mode), so they are captured by wrapping emit instead.
+const TRACED_EVENTS = ['data', 'pause', 'resume', 'end', 'drain', 'finish', 'error', 'pipe', 'unpipe', 'close', 'fault']
+
+function eventDetails(event, args, tracer) {
+  if (event === 'pipe' || event === 'unpipe') {
+    const source = tracer.nameOf(args[0])
+    return source ? { source } : {}
+  }
+  if (event === 'error') {
+    return { message: args[0] && args[0].message }
+  }
+  if (event === 'fault') {
+    const details = { fault: args[0].type, at: args[0].at }
+    return args[0].effect ? Object.assign(details, { effect: args[0].effect }) : details
+  }
+  return {}
+}
+
+function isReadable(stream) {
+  return typeof stream.push === 'function' && Boolean(stream._readableState)
+}
+
+function isWritable(stream) {
+  return typeof stream.write === 'function' && Boolean(stream._writableState)
+}
+
+/*
+  Records every buffer and state change of the attached streams at the moment it happens, instead of polling.
+
+  attach() wraps push, write, _read and the _write and _writev callbacks of a stream, along with its emit, so each of
+  these produces an event:
+
+    { seq, time, type, stream, buffers: { <name>: <length> }, sizes: { <name>: <size> },
+      state: { <name>: { flowing, paused } }, ...details }
+
+  seq increases by one for every event across all attached streams, and time is ms since the tracer was created,
+  read from options.clock (real time by default). buffers (in chunks), sizes (in bytes or objects) and state are
+  snapshots of every attached stream taken right after the change. Events are emitted on the tracer as 'event'.
+  write-complete events also carry the chunkSize of the chunk written, in the stream's buffer unit. A batch written
+  by _writev is recorded as writev-start and writev-complete, both with the number of chunks in it, and
+  writev-complete with their total chunkSize. pipe and unpipe events, recorded on the destination, carry the name of
+  the source piped into it or out of it, if that is attached too.
+*/
+class Tracer extends EventEmitter {
+  constructor(options) {
+    super()
+    options = options || {}
+    this.clock = options.clock || realClock
+    this.startTime = this.clock.now()
+    this.seq = 0
+    this.streams = []
+  }
+
+  attach(stream, name) {
+    name = name || stream.name || stream.constructor.name
+    this.streams.push({ stream, name })
+    if (isReadable(stream)) {
+      this._wrapReadable(stream, name)
+    }
+    if (isWritable(stream)) {
+      this._wrapWritable(stream, name)
+    }
+    const emit = stream.emit
+    stream.emit = (event, ...args) => {
+      if (TRACED_EVENTS.indexOf(event) !== -1) {
+        this.record(name, event, eventDetails(event, args, this))
+      }
+      return emit.call(stream, event, ...args)
+    }
+    return stream
+  }
+
+  nameOf(stream) {
+    const entry = this.streams.find((attached) => attached.stream === stream)
+    return entry && entry.name
+  }
+
+  // Builds an event from the current state of every attached stream and emits it.
+  record(name, type, details) {
+    this.seq++
+    const event = Object.assign({ seq: this.seq, time: this.clock.now() - this.startTime, type, stream: name }, details, {
+      buffers: this.snapshotBuffers(),
+      sizes: this.snapshotSizes(),
+      state: this.snapshotState()
+    })
+    this.emit('event', event)
+    return event
+  }
+
+  snapshotBuffers() {
+    const buffers = {}
+    this.streams.forEach((entry) => {
+      if (typeof entry.stream.getBufferLength === 'function') {
+        buffers[entry.name] = entry.stream.getBufferLength()
+      }
+    })
+    return buffers
+  }
+
+  snapshotSizes() {
+    const sizes = {}
+    this.streams.forEach((entry) => {
+      if (typeof entry.stream.getBufferSize === 'function') {
+        sizes[entry.name] = entry.stream.getBufferSize()
+      }
+    })
+    return sizes
+  }
+
+  snapshotState() {
+    const states = {}
+    this.streams.forEach((entry) => {
+      if (isReadable(entry.stream)) {
+        states[entry.name] = {
+          flowing: state.inspect(entry.stream, 'readableFlowing'),
+          paused: entry.stream.isPaused()
+        }
+      }
+    })
+    return states
+  }
+
+  _wrapReadable(stream, name) {
+    const push = stream.push
+    stream.push = (chunk, encoding) => {
+      const response = push.call(stream, chunk, encoding)
+      this.record(name, 'push', { eof: chunk === null, response })
+      return response
+    }
+    const read = stream._read
+    stream._read = (size) => {
+      this.record(name, 'read', { size })
+      return read.call(stream, size)
+    }
+  }
+
+  _wrapWritable(stream, name) {
+    const write = stream.write
+    stream.write = (chunk, encoding, cb) => {
+      const response = write.call(stream, chunk, encoding, cb)
+      this.record(name, 'write', { response })
+      return response
+    }
+    const _write = stream._write
+    stream._write = (chunk, encoding, cb) => {
+      // recorded after _write has started so the snapshot includes the chunk being written, unless the
+      // callback comes first
+      let started = false
+      const start = () => {
+        if (!started) {
+          started = true
+          this.record(name, 'write-start', {})
+        }
+      }
+      const result = _write.call(stream, chunk, encoding, (err) => {
+        start()
+        const chunkSize = state.inspect(stream, 'writableObjectMode') ? 1 : chunk.length
+        this.record(name, 'write-complete', err ? { chunkSize, message: err.message } : { chunkSize })
+        cb(err)
+      })
+      start()
+      return result
+    }
+    if (typeof stream._writev !== 'function') {
+      return
+    }
+    const _writev = stream._writev
+    stream._writev = (entries, cb) => {
+      let started = false
+      const start = () => {
+        if (!started) {
+          started = true
+          this.record(name, 'writev-start', { chunks: entries.length })
+        }
+      }
+      const result = _writev.call(stream, entries, (err) => {
+        start()
+        const objectMode = state.inspect(stream, 'writableObjectMode')
+        const chunkSize = entries.reduce((total, entry) => total + (objectMode ? 1 : entry.chunk.length), 0)
+        const details = { chunks: entries.length, chunkSize }
+        this.record(name, 'writev-complete', err ? Object.assign(details, { message: err.message }) : details)
+        cb(err)
+      })
+      start()
+      return result
+    }
+  }
+}
+
+module.exports = Tracer
@@ -0,0 +1,67 @@
+'use strict'
+
+const stream = require('stream')
+const defaults = require('./defaults')
+const state = require('./state')
+const realClock = require('./clock').realClock
+
+/*
+  A transform stream that takes `transformInterval` ms per chunk, passing each chunk through `transformChunk`.
+
+  Its buffer is everything the stage is holding: chunks queued on the writable side, the chunk being transformed,
+  and transformed chunks waiting on the readable side. Capacity is the two highWaterMarks together.
+
+  Emits two extra events:
+  - 'transform' ({ id, chunk }) when Transform._transform starts
+  - 'transformed' ({ id, chunk }) when the transformed chunk has been pushed
+*/
+class Transform extends stream.Transform {
+  constructor(options) {
+    options = Object.assign({
+      decodeStrings: false,
+      encoding: 'utf8',
+      highWaterMark: defaults.SINK_HIGH_WATER_MARK,
+      transformInterval: defaults.WRITE_INTERVAL,
+      transformChunk: (chunk) => chunk,
+      chunkData: defaults.CHUNK_DATA
+    }, options)
+    super(options)
+    this.name = options.name || this.constructor.name
+    this.transformInterval = options.transformInterval
+    this.clock = options.clock || realClock
+    this.transformChunk = options.transformChunk
+    this.transformId = 0
+    this.completeId = 0
+    this.bufferLength = 0
+    this.bufferCapacity = 2 * state.chunkCapacity(options)
+    this.bufferLimit = 2 * options.highWaterMark
+    this.bufferUnit = state.bufferUnit(options.objectMode)
+    this.isTransforming = false
+  }
+
+  getBufferLength() {
+    const writableLength = state.writableBufferLength(this)
+    const transformingBuffer = this.isTransforming ? 1 : 0
+    return writableLength + transformingBuffer + state.readableBufferLength(this)
+  }
+
+  getBufferSize() {
+    return state.writableBufferSize(this) + state.readableBufferSize(this)
+  }
+
+  _transform(chunk, enc, cb) {
+    this.isTransforming = true
+    this.transformId++
+    this.emit('transform', { id: this.transformId, chunk })
+    this.clock.setTimeout(() => {
+      const transformed = this.transformChunk(chunk)
+      this.completeId++
+      this.isTransforming = false
+      this.push(transformed)
+      this.emit('transformed', { id: this.completeId, chunk: transformed })
+      cb()
+    }, this.transformInterval)
+  }
+}
+
+module.exports = Transform
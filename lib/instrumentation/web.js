@@ -0,0 +1,241 @@
+'use strict'
+
+const EventEmitter = require('events')
+const defaults = require('./defaults')
+const realClock = require('./clock').realClock
+const faults = require('./faults')
+
+// WHATWG streams are only in Node 16.5 and later.
+function webStreams() {
+  try {
+    return require('stream/web')
+  } catch (err) {
+    throw new Error(`Web streams need Node 16.5 or later, this is Node ${process.versions.node}`)
+  }
+}
+
+// 'bytes' measures chunks by byteLength, so they have to be Buffers; 'count' counts chunks of anything.
+function createStrategy(strategy, highWaterMark) {
+  const web = webStreams()
+  if (strategy === 'bytes') {
+    return new web.ByteLengthQueuingStrategy({ highWaterMark })
+  }
+  if (strategy === 'count') {
+    return new web.CountQueuingStrategy({ highWaterMark })
+  }
+  throw new Error(`Unknown queuing strategy "${strategy}", expected bytes or count`)
+}
+
+function strategyUnit(strategy) {
+  return strategy === 'bytes' ? 'bytes' : 'chunks'
+}
+
+/*
+  The web stream counterpart of Source: a ReadableStream, as `stream`, whose pull takes `readInterval` ms to enqueue
+  `chunkData`, `readCount` times, then closes. `strategy` picks the queuing strategy the highWaterMark is measured
+  with: 'bytes' (ByteLengthQueuingStrategy, chunks are Buffers) or 'count' (CountQueuingStrategy, chunks are
+  strings).
+
+  Only the controller's desiredSize tells how full the queue is, and a closed stream reports 0 however much is
+  left in it, so closing waits for the queue to empty: the buffer can be drawn right to the end.
+
+  Emits events like Source's: 'read' (count) when pull is called, 'push' ({ id, data, response }) after each enqueue,
+  with whether desiredSize is still above 0, 'fault' ({ type, at }), and 'change' whenever the queue changes.
+*/
+class WebSource extends EventEmitter {
+  constructor(options) {
+    options = Object.assign({
+      highWaterMark: defaults.SOURCE_HIGH_WATER_MARK,
+      readCount: defaults.READ_COUNT,
+      readInterval: defaults.READ_INTERVAL,
+      chunkData: defaults.CHUNK_DATA,
+      strategy: 'bytes'
+    }, options)
+    super()
+    this.name = options.name || this.constructor.name
+    this.readCount = options.readCount
+    this.readInterval = options.readInterval
+    this.clock = options.clock || realClock
+    this.chunkData = options.chunkData
+    this.strategy = options.strategy
+    this.faults = faults.validateFaults(options.faults || [], faults.WEB_SOURCE_FAULTS, this.name)
+    this.count = 0
+    this.pushCount = 0
+    this.bufferLimit = options.highWaterMark
+    this.bufferUnit = strategyUnit(options.strategy)
+    this.queueSizes = []
+    this.controller = null
+    this.stream = new (webStreams().ReadableStream)({
+      start: (controller) => {
+        this.controller = controller
+      },
+      pull: () => this._pull(),
+      cancel: (reason) => {
+        this.emit('cancel', reason)
+        this.emit('change')
+      }
+    }, createStrategy(options.strategy, options.highWaterMark))
+  }
+
+  get desiredSize() {
+    return this.controller.desiredSize
+  }
+
+  getBufferSize() {
+    const desiredSize = this.controller.desiredSize
+    return desiredSize === null ? 0 : this.bufferLimit - desiredSize
+  }
+
+  // The queue only reports its size, so chunks are counted off the front of what was enqueued until the sizes add up.
+  getBufferLength() {
+    let size = this.queueSizes.reduce((total, chunkSize) => total + chunkSize, 0)
+    while (this.queueSizes.length && size > this.getBufferSize()) {
+      size -= this.queueSizes.shift()
+    }
+    return this.queueSizes.length
+  }
+
+  _pull() {
+    this.count++
+    this.emit('read', this.count)
+    return new Promise((resolve, reject) => {
+      this.clock.setTimeout(() => {
+        const fault = faults.faultAt(this.faults, this.count)
+        if (fault) {
+          this.emit('fault', fault)
+          const err = new Error('Test source error')
+          if (fault.type === 'throw') {
+            return reject(err)
+          }
+          this.controller.error(err)
+          this.emit('change')
+          return resolve()
+        }
+        if (this.count > this.readCount) {
+          return this._close(resolve)
+        }
+        this._enqueue(this.strategy === 'bytes' ? Buffer.from(this.chunkData) : this.chunkData)
+        resolve()
+      }, this.readInterval)
+    })
+  }
+
+  _enqueue(data) {
+    this.pushCount++
+    this.controller.enqueue(data)
+    this.queueSizes.push(this.strategy === 'bytes' ? data.byteLength : 1)
+    const response = this.controller.desiredSize > 0
+    this.emit('push', { id: this.pushCount, data, response })
+    this.emit('change')
+  }
+
+  _close(done) {
+    if (this.getBufferSize() > 0 && this.controller.desiredSize !== null) {
+      return this.clock.setTimeout(() => this._close(done), this.readInterval)
+    }
+    if (this.controller.desiredSize !== null) {
+      this.controller.close()
+      this.emit('push', { id: this.pushCount + 1, data: null, response: false })
+      this.emit('change')
+    }
+    done()
+  }
+}
+
+/*
+  The web stream counterpart of Sink: a WritableStream, as `stream`, whose write takes `writeInterval` ms per chunk.
+  `strategy` is as for WebSource.
+
+  The writable's queue holds each chunk from the moment it is written until its write promise resolves, including
+  the chunk being written. Its size is only visible through a writer, which pipeTo keeps locked, so the queue is
+  followed through the strategy's size(), which is called for every chunk written, and the writes completing.
+
+  Emits events like Sink's: 'write' ({ id, chunk }) when a write starts, 'written' ({ id, chunk }) when it completes,
+  'finish' when the stream closes, 'abort' (reason) when it is aborted, 'fault' ({ type, at }), and 'change'.
+*/
+class WebSink extends EventEmitter {
+  constructor(options) {
+    options = Object.assign({
+      highWaterMark: defaults.SINK_HIGH_WATER_MARK,
+      writeInterval: defaults.WRITE_INTERVAL,
+      strategy: 'bytes'
+    }, options)
+    super()
+    this.name = options.name || this.constructor.name
+    this.writeInterval = options.writeInterval
+    this.clock = options.clock || realClock
+    this.faults = faults.validateFaults(options.faults || [], faults.WEB_SINK_FAULTS, this.name)
+    this.writeId = 0
+    this.completeId = 0
+    this.bufferLimit = options.highWaterMark
+    this.bufferUnit = strategyUnit(options.strategy)
+    this.queueSizes = []
+    const strategy = createStrategy(options.strategy, options.highWaterMark)
+    this.stream = new (webStreams().WritableStream)({
+      start: (controller) => {
+        this.controller = controller
+      },
+      write: (chunk) => this._write(chunk),
+      close: () => {
+        this.emit('finish')
+      },
+      abort: (reason) => {
+        this.queueSizes = []
+        this.emit('abort', reason)
+        this.emit('change')
+      }
+    }, {
+      highWaterMark: strategy.highWaterMark,
+      size: (chunk) => {
+        const size = strategy.size ? strategy.size(chunk) : 1
+        this.queueSizes.push(size)
+        process.nextTick(() => this.emit('change'))
+        return size
+      }
+    })
+  }
+
+  // What a writer's desiredSize would be.
+  get desiredSize() {
+    return this.bufferLimit - this.getBufferSize()
+  }
+
+  getBufferLength() {
+    return this.queueSizes.length
+  }
+
+  getBufferSize() {
+    return this.queueSizes.reduce((total, size) => total + size, 0)
+  }
+
+  _write(chunk) {
+    this.writeId++
+    const fault = faults.faultAt(this.faults, this.writeId)
+    this.emit('write', { id: this.writeId, chunk })
+    if (fault && fault.type === 'emit') {
+      this.emit('fault', fault)
+      this.controller.error(new Error('Test sink error'))
+      // the queue is thrown away, all but the chunk being written
+      this.queueSizes = this.queueSizes.slice(0, 1)
+    }
+    return new Promise((resolve, reject) => {
+      this.clock.setTimeout(() => {
+        this.completeId++
+        this.queueSizes.shift()
+        this.emit('written', { id: this.completeId, chunk })
+        this.emit('change')
+        if (fault && fault.type === 'callback') {
+          this.emit('fault', fault)
+          return reject(new Error('Test sink error'))
+        }
+        resolve()
+      }, this.writeInterval)
+    })
+  }
+}
+
+module.exports = {
+  webStreams,
+  WebSource,
+  WebSink
+}
@@ -0,0 +1,29 @@
+'use strict'
+
+const state = require('./state')
+
+/*
+  Gives a stream the instrumented streams don't create (Readable.from, fs, net, zlib...) what printBuffers and the
+  Tracer draw buffers with: a name, getBufferLength(), getBufferSize(), bufferLimit and bufferUnit. A duplex counts
+  both sides, like Transform and Duplex. Returns the stream.
+*/
+function instrument(stream, name) {
+  const readable = Boolean(stream._readableState)
+  const writable = Boolean(stream._writableState)
+  stream.name = name || stream.constructor.name
+  stream.bufferLimit = (readable ? state.inspect(stream, 'readableHighWaterMark') : 0) +
+    (writable ? state.inspect(stream, 'writableHighWaterMark') : 0)
+  stream.bufferUnit = state.bufferUnit((readable && state.inspect(stream, 'readableObjectMode')) ||
+    (writable && state.inspect(stream, 'writableObjectMode')))
+  stream.getBufferLength = () => {
+    return (readable ? state.readableBufferLength(stream) : 0) + (writable ? state.writableBufferLength(stream) : 0)
+  }
+  stream.getBufferSize = () => {
+    return (readable ? state.readableBufferSize(stream) : 0) + (writable ? state.writableBufferSize(stream) : 0)
+  }
+  return stream
+}
+
+module.exports = {
+  instrument
+}
@@ -0,0 +1,179 @@
+'use strict'
+
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  variant: 'readable',
+  readCount: 20, // the number of times Source._read can be called before it pushes null
+  readInterval: 100, // ms
+  writeInterval: 400, // ms
+  sourceHighWaterMark: 100, // bytes
+  sinkHighWaterMark: 100, // bytes
+  readSize: 50, // bytes asked for by each read(size), in the readable and mixed variants
+  switchAt: 4, // reads that return data before the mixed variant switches from 'readable' to 'data'
+  chunkData: instrumentation.defaults.CHUNK_DATA
+}
+
+// How the consumer takes chunks from Source and writes them to Sink, in place of a pipe.
+const VARIANTS = {
+  readable: {}, // read(size) in a loop in a 'readable' handler
+  data: {}, // a 'data' handler, with pause() when write returns false and resume() on 'drain'
+  mixed: {} // the readable variant for `switchAt` reads, then the data variant
+}
+
+/*
+  The same Source and Sink as the flowing example, without pipe: the consumer does what pipe would, in each of the
+  two modes a readable can be consumed in, and the flowing example's monitors log isPaused() and readableFlowing.
+
+  readableFlowing has three states. null: nothing has consumed the stream yet. true: flowing mode, chunks are
+  emitted as 'data' as soon as they are pushed. false: paused mode, chunks stay in the buffer until read() takes them
+  or the stream is resumed. isPaused() is true exactly when readableFlowing is false, so it can't tell a stream
+  nothing consumes yet from a flowing one.
+
+  1. readable: adding a 'readable' listener takes readableFlowing from null to false, and it stays false to the end.
+     read(size) returns null until `size` bytes are buffered (or the stream has ended, when it returns what is
+     left), so the consumer gets two chunks at a time. Backpressure is up to the consumer: it stops calling read()
+     when write returns false, Source's buffer fills, push returns false and _read stops being called.
+  2. data: adding a 'data' listener takes readableFlowing from null to true. pause() takes it to false, and
+     isPaused() to true; resume() takes both back. This is what pipe does with each write that returns false.
+  3. mixed: removing the last 'readable' listener takes readableFlowing from false back to null, on the next tick,
+     and the buffered chunks stay where they are. Adding a 'data' listener then makes the stream flow, and the
+     buffer empties into the 'data' handler at once, until write returns false.
+*/
+
+function run(options) {
+  const variant = (options && options.variant) || DEFAULTS.variant
+  if (!VARIANTS[variant]) {
+    throw new Error(`Unknown variant "${variant}", expected one of ${Object.keys(VARIANTS).join(', ')}`)
+  }
+  const config = Object.assign({}, DEFAULTS, VARIANTS[variant], options)
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {})
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const source = new instrumentation.Source({
+    highWaterMark: config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    faults: faults.source,
+    clock
+  })
+  source.setEncoding('utf8')
+
+  const sink = new instrumentation.Sink({
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    chunkData: config.chunkData,
+    faults: faults.sink,
+    clock
+  })
+
+  const tracer = new instrumentation.Tracer({ clock })
+  tracer.attach(source)
+  tracer.attach(sink)
+  if (config.trace) {
+    instrumentation.recordTrace(tracer, config.trace)
+  }
+  instrumentation.monitorPaused(tracer, source)
+  instrumentation.monitorFlowing(tracer, source)
+  instrumentation.monitorBuffers(tracer, [source, sink])
+  instrumentation.monitorFaults(tracer, [source, sink])
+  // read(size) joins chunks together, which leaves no way to pair the chunks Sink writes with the ones pushed
+  instrumentation.monitorMetrics(tracer, sink, variant === 'data' ? source : undefined)
+
+  source.on('push', (push) => {
+    output.log('push', `Source._push #${push.id} response: ${push.response}`)
+  })
+
+  source.on('end', () => {
+    output.log('bad', 'Source end')
+    sink.end()
+  })
+
+  sink.on('drain', () => {
+    output.log('good', 'Sink drain event')
+  })
+
+  sink.on('finish', () => {
+    output.log('bad', 'Sink finish')
+  })
+
+  source.on('error', () => {
+    output.error('bad', 'Source error')
+  })
+
+  sink.on('error', () => {
+    output.error('bad', 'Sink error')
+  })
+
+  let reads = 0
+  let waiting = false
+
+  // Paused mode: read(size) until it returns null, or until write returns false, then carry on after 'drain'.
+  const onReadable = () => {
+    if (waiting) {
+      return
+    }
+    for (;;) {
+      if (variant === 'mixed' && reads >= config.switchAt) {
+        switchToData()
+        return
+      }
+      const chunk = source.read(config.readSize)
+      if (chunk === null) {
+        output.log('read', `read(${config.readSize}) returned null`)
+        return
+      }
+      output.log('read', `read(${config.readSize}) returned ${chunk.length} bytes`)
+      reads++
+      if (!sink.write(chunk)) {
+        waiting = true
+        sink.once('drain', () => {
+          waiting = false
+          onReadable()
+        })
+        return
+      }
+    }
+  }
+
+  // Flowing mode: write each 'data' chunk, pausing when write returns false until 'drain'.
+  const onData = (chunk) => {
+    if (!sink.write(chunk)) {
+      output.log('bad', 'Sink write returned false, pausing Source')
+      source.pause()
+      sink.once('drain', () => source.resume())
+    }
+  }
+
+  // readableFlowing only changes on the tick after the 'readable' listener is removed, with no stream event to trace
+  // it by, so the switch is recorded as an event of its own before the 'data' listener goes on.
+  const switchToData = () => {
+    output.log('detail', `Removing the 'readable' listener after ${reads} reads`)
+    source.removeListener('readable', onReadable)
+    process.nextTick(() => {
+      tracer.record(tracer.nameOf(source), 'switch', { from: 'readable', to: 'data' })
+      output.log('detail', "Adding a 'data' listener")
+      source.on('data', onData)
+    })
+  }
+
+  if (variant === 'data') {
+    source.on('data', onData)
+  } else {
+    source.on('readable', onReadable)
+  }
+
+  return { clock, source, sink, tracer }
+}
+
+module.exports = {
+  DEFAULTS,
+  VARIANTS,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
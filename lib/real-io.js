@@ -0,0 +1,243 @@
+'use strict'
+
+const childProcess = require('child_process')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  variant: 'file',
+  readCount: 64, // the number of chunks Source pushes (socket, zlib and child)
+  readInterval: 0, // ms, Source is as quick as the clock allows: the real stream after it sets the pace
+  transformInterval: 50, // ms, the slow stage between the file streams
+  writeInterval: 50, // ms, the Sink after the real streams (socket, zlib and child)
+  sourceHighWaterMark: 16384, // bytes, Source or the file read stream
+  transformHighWaterMark: 16384, // bytes, for each side of the slow stage
+  sinkHighWaterMark: 16384, // bytes, Sink or the file write stream
+  chunkSize: 16384, // bytes, the size of each chunk Source pushes
+  fileSize: 262144, // bytes, the size of the file the file variant reads
+  chunkData: instrumentation.defaults.CHUNK_DATA
+}
+
+// The real streams between a fast end and a slow one.
+const VARIANTS = {
+  file: {},
+  socket: {},
+  zlib: {},
+  child: {}
+}
+
+/*
+  The instrumentation on real streams, on the local machine and in real time:
+
+    file    fs.createReadStream -> a slow Transform -> fs.createWriteStream, between files in a temporary directory
+    socket  Source -> a socket connected over 127.0.0.1 -> the socket the server accepted -> Sink
+    zlib    Source -> zlib.createGzip() -> zlib.createGunzip() -> Sink
+    child   Source -> the stdin of a node process copying it to its stdout -> its stdout -> Sink
+
+  Real streams are wrapped with instrument() so their buffers can be drawn, and traced like any other. Their timing
+  depends on the machine, so this example can't run on the virtual clock, and runs differ.
+
+  The socket, zlib and child streams regroup the chunks passing through them, so the metrics have no latency for
+  them. Chunks written in a batch (_writev, which sockets and file write streams have) are traced a batch at a time.
+
+  1. file: a file read stream reads only while its buffer is under its highWaterMark. Behind the slow stage it
+     fills with one read, push returns false, and it sits paused most of the run, like Source.
+  2. socket: the kernel buffers between the two sockets are part of the pipe, and on loopback they hold megabytes
+     (net.ipv4.tcp_rmem and tcp_wmem on Linux). The server socket stops reading once its buffer is past its
+     highWaterMark, but the client's writes keep being accepted until the kernel is full, so Source sees no
+     backpressure for a long time, here often none at all.
+  3. zlib: highWaterMarks count bytes on each side of a transform, and compression changes how many. Gzip's output
+     is a fraction of its input, and Gunzip turns it back into full chunks: Gunzip's readable side is the one that
+     backs up, and Source has finished long before Sink.
+  4. child: the OS pipe to the child holds 64KB or so, and the child's stdout is read in chunks of up to 64KB, so
+     the chunks reaching Sink can be several times its highWaterMark: one chunk is enough to make write return false.
+*/
+
+// Builds the streams of a variant: { streams, latency, connect(start), cleanup() }. connect() calls start() once all
+// the streams are in `streams`, which for the socket is once the server has accepted the connection, then pipes them.
+const BUILDERS = {
+  file(config, clock) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-examples-'))
+    const input = path.join(dir, 'input.txt')
+    fs.writeFileSync(input, Array(Math.ceil(config.fileSize / config.chunkData.length) + 1).join(config.chunkData)
+      .slice(0, config.fileSize))
+    const source = instrumentation.instrument(fs.createReadStream(input, {
+      highWaterMark: config.sourceHighWaterMark
+    }), 'ReadStream')
+    const slow = new instrumentation.Transform({
+      name: 'Slow',
+      highWaterMark: config.transformHighWaterMark,
+      transformInterval: config.transformInterval,
+      clock
+    })
+    const sink = instrumentation.instrument(fs.createWriteStream(path.join(dir, 'output.txt'), {
+      highWaterMark: config.sinkHighWaterMark
+    }), 'WriteStream')
+    return {
+      streams: [source, slow, sink],
+      latency: true,
+      connect(start) {
+        start()
+        source.pipe(slow).pipe(sink)
+      },
+      cleanup() {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    }
+  },
+
+  socket(config, clock) {
+    const source = createSource(config, clock)
+    const sink = createSink(config, clock)
+    const server = net.createServer()
+    const streams = [source, sink]
+    return {
+      streams,
+      connect(start) {
+        server.once('connection', (socket) => {
+          streams.splice(2, 0, instrumentation.instrument(socket, 'Server socket'))
+          start()
+          source.pipe(streams[1])
+          socket.pipe(sink)
+        })
+        server.listen(0, '127.0.0.1', () => {
+          const client = net.connect(server.address().port, '127.0.0.1')
+          streams.splice(1, 0, instrumentation.instrument(client, 'Client socket'))
+        })
+      },
+      cleanup() {
+        server.close()
+      }
+    }
+  },
+
+  zlib(config, clock) {
+    const source = createSource(config, clock)
+    const gzip = instrumentation.instrument(zlib.createGzip(), 'Gzip')
+    const gunzip = instrumentation.instrument(zlib.createGunzip(), 'Gunzip')
+    const sink = createSink(config, clock)
+    return {
+      streams: [source, gzip, gunzip, sink],
+      connect(start) {
+        start()
+        source.pipe(gzip).pipe(gunzip).pipe(sink)
+      },
+      cleanup() {}
+    }
+  },
+
+  child(config, clock) {
+    const source = createSource(config, clock)
+    const child = childProcess.spawn(process.execPath, ['-e', 'process.stdin.pipe(process.stdout)'], {
+      stdio: ['pipe', 'pipe', 'inherit']
+    })
+    const stdin = instrumentation.instrument(child.stdin, 'Child stdin')
+    const stdout = instrumentation.instrument(child.stdout, 'Child stdout')
+    const sink = createSink(config, clock)
+    return {
+      streams: [source, stdin, stdout, sink],
+      connect(start) {
+        start()
+        source.pipe(stdin)
+        stdout.pipe(sink)
+      },
+      cleanup() {
+        child.kill()
+      }
+    }
+  }
+}
+
+function createSource(config, clock) {
+  const source = new instrumentation.Source({
+    highWaterMark: config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    chunkType: 'buffer',
+    chunkSizes: [config.chunkSize],
+    clock
+  })
+  source.on('push', (push) => {
+    if (!push.response) {
+      output.log('bad', `Source._push #${push.id} response: false`)
+    }
+  })
+  return source
+}
+
+function createSink(config, clock) {
+  const sink = new instrumentation.Sink({
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    clock
+  })
+  sink.on('drain', () => {
+    output.log('good', 'Sink drain event')
+  })
+  return sink
+}
+
+function run(options) {
+  const variant = (options && options.variant) || DEFAULTS.variant
+  if (!VARIANTS[variant]) {
+    throw new Error(`Unknown variant "${variant}", expected one of ${Object.keys(VARIANTS).join(', ')}`)
+  }
+  const config = Object.assign({}, DEFAULTS, VARIANTS[variant], options)
+  if (config.virtualTime) {
+    throw new Error('The real-io example runs on real I/O, which the virtual clock has no hold over')
+  }
+  const clock = instrumentation.realClock
+  const tracer = new instrumentation.Tracer({ clock })
+
+  const built = BUILDERS[variant](config, clock)
+  const streams = built.streams
+  const done = new Promise((resolve) => {
+    built.connect(() => {
+      const first = streams[0]
+      const last = streams[streams.length - 1]
+      streams.forEach((stream) => tracer.attach(stream))
+      if (config.trace) {
+        instrumentation.recordTrace(tracer, config.trace)
+      }
+      instrumentation.monitorBuffers(tracer, streams)
+      instrumentation.monitorMetrics(tracer, last, built.latency ? first : undefined)
+
+      last.on('finish', () => {
+        output.log('bad', `${last.name} finish`)
+        // what is still to come, like the socket closing or the child exiting, isn't part of the example; the
+        // metrics are printed first
+        clock.setTimeout(() => {
+          built.cleanup()
+          resolve()
+        }, 0)
+      })
+      streams.forEach((stream) => {
+        stream.on('error', (err) => {
+          output.error('bad', `${stream.name} error: ${err.message}`)
+          built.cleanup()
+          resolve()
+        })
+      })
+    })
+  })
+
+  return { clock, tracer, streams, done }
+}
+
+module.exports = {
+  DEFAULTS,
+  VARIANTS,
+  realTime: true,
+  faultable: false,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
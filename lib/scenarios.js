@@ -0,0 +1,21 @@
+'use strict'
+
+// The examples the command-line runner can run by name. Each exports DEFAULTS and run(options), `traceable: false`
+// if it can't record a trace, and `realTime: true` if it can't run on the virtual clock. Either leaves it out of
+// fingerprints. `faultable: false` marks the ones that don't take a fault plan.
+module.exports = {
+  backpressure: require('./backpressure'),
+  errors: require('./errors'),
+  flowing: require('./flowing'),
+  chain: require('./chain'),
+  'fan-out': require('./fan-out'),
+  'fan-in': require('./fan-in'),
+  'chunk-types': require('./chunk-types'),
+  'async-iteration': require('./async-iteration'),
+  'web-streams': require('./web-streams'),
+  'error-propagation': require('./error-propagation'),
+  'real-io': require('./real-io'),
+  'ignored-backpressure': require('./ignored-backpressure'),
+  'paused-mode': require('./paused-mode'),
+  batching: require('./batching')
+}
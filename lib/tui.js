@@ -0,0 +1,224 @@
+'use strict'
+
+const readline = require('readline')
+const output = require('./instrumentation/output')
+const render = require('./instrumentation/render')
+const state = require('./instrumentation/state')
+const scenarios = require('./scenarios')
+
+const chalk = output.chalk
+
+const INTERVAL_STEP = 25 // ms, how much a key press changes READ_INTERVAL or WRITE_INTERVAL by
+const SPEEDS = [0.25, 0.5, 1, 2, 4]
+const REDRAW_DELAY = 30 // ms, events in between are drawn together
+
+const HELP = 'space pause/play  s step  r/R read interval -/+  w/W write interval -/+  -/+ speed  q quit'
+
+// Escape codes: switch to the alternate screen and hide the cursor, and back; move to the top left and clear.
+const ENTER = '\u001b[?1049h\u001b[?25l'
+const LEAVE = '\u001b[?25h\u001b[?1049l'
+const HOME = '\u001b[H\u001b[2J'
+
+/*
+  Runs an example full-screen, redrawing in place: a line per stream with its buffer and flags (readableFlowing,
+  paused and ended for readables, needDrain, ended and finished for writables), and a pane of the latest events.
+
+  As with the dashboard, the example runs on a VirtualClock slowed down to real time (or `speed`), starting paused,
+  and its own logging is silenced while the screen is up. Keys pause it, step it a timer at a time, change its speed,
+  and change the readInterval and writeInterval of its sources and sinks while it runs: they take effect from the
+  next read or write.
+
+  `io` is { input, output }, process.stdin and process.stdout by default. Returns { press(key), quit() }, press taking
+  key names as readline reports them.
+*/
+function start(name, options, io) {
+  const scenario = scenarios[name]
+  if (scenario.traceable === false) {
+    throw new Error(`The ${name} example can't be shown in the terminal UI: it has no tracer to follow`)
+  }
+  if (scenario.realTime) {
+    throw new Error(`The ${name} example runs on real I/O, so it can't be paused or stepped in the terminal UI`)
+  }
+  io = io || { input: process.stdin, output: process.stdout }
+  const write = io.output.write.bind(io.output)
+  const silenced = silence()
+
+  let streams
+  try {
+    streams = scenario.run(Object.assign({}, options, { virtualTime: true, trace: undefined }))
+  } catch (err) {
+    silenced.restore()
+    throw err
+  }
+  const clock = streams.clock
+  const tracer = streams.tracer
+  clock.pause()
+  clock.speed = options.speed === undefined ? 1 : options.speed
+  const events = []
+  let idle = false
+  let redrawing = null
+
+  function scheduleDraw() {
+    if (!redrawing) {
+      redrawing = setTimeout(draw, REDRAW_DELAY)
+    }
+  }
+
+  function draw() {
+    redrawing = null
+    const rows = io.output.rows || 24
+    write(HOME + formatScreen({ name, time: clock.now(), paused: clock.paused, idle, speed: clock.speed,
+      streams: tracer.streams, events, rows }).join('\n'))
+  }
+
+  function adjust(property, change) {
+    tracer.streams.forEach((entry) => {
+      if (entry.stream[property] !== undefined) {
+        entry.stream[property] = Math.max(entry.stream[property] + change, 0)
+      }
+    })
+  }
+
+  function changeSpeed(change) {
+    const i = SPEEDS.indexOf(clock.speed)
+    clock.setSpeed(SPEEDS[Math.min(Math.max((i === -1 ? 2 : i) + change, 0), SPEEDS.length - 1)])
+  }
+
+  function quit() {
+    clock.pause()
+    clearTimeout(redrawing)
+    io.input.removeListener('keypress', onKeypress)
+    if (io.input.isTTY) {
+      io.input.setRawMode(false)
+    }
+    io.input.destroy()
+    silenced.restore()
+    write(LEAVE)
+  }
+
+  function press(key) {
+    if (key === 'q' || key === 'ctrl-c') {
+      return quit()
+    }
+    const actions = {
+      space: () => (clock.paused ? clock.resume() : clock.pause()),
+      s: () => clock.step(),
+      r: () => adjust('readInterval', -INTERVAL_STEP),
+      R: () => adjust('readInterval', INTERVAL_STEP),
+      w: () => adjust('writeInterval', -INTERVAL_STEP),
+      W: () => adjust('writeInterval', INTERVAL_STEP),
+      '-': () => changeSpeed(-1),
+      '+': () => changeSpeed(1)
+    }
+    if (actions[key]) {
+      actions[key]()
+      scheduleDraw()
+    }
+  }
+
+  function onKeypress(text, key) {
+    key = key || {}
+    if (key.ctrl && key.name === 'c') {
+      return press('ctrl-c')
+    }
+    press(key.name === 'space' ? 'space' : text)
+  }
+
+  tracer.on('event', (event) => {
+    events.push(event)
+    scheduleDraw()
+  })
+  clock.on('idle', () => {
+    idle = true
+    scheduleDraw()
+  })
+
+  readline.emitKeypressEvents(io.input)
+  if (io.input.isTTY) {
+    io.input.setRawMode(true)
+  }
+  io.input.on('keypress', onKeypress)
+  io.input.resume()
+  write(ENTER)
+  draw()
+  return { press, quit }
+}
+
+// Stops the example writing to the terminal the UI is drawing on. restore() puts everything back.
+function silence() {
+  const log = console.log
+  const error = console.error
+  const stdoutWrite = process.stdout.write
+  console.log = () => {}
+  console.error = () => {}
+  process.stdout.write = () => true
+  return {
+    restore() {
+      console.log = log
+      console.error = error
+      process.stdout.write = stdoutWrite
+    }
+  }
+}
+
+function formatFlags(stream) {
+  const flags = []
+  if (stream._readableState) {
+    flags.push(`readableFlowing ${state.inspect(stream, 'readableFlowing')}`, `paused ${stream.isPaused()}`,
+      `ended ${state.inspect(stream, 'readableEnded')}`)
+  }
+  if (stream._writableState) {
+    const needDrain = state.inspect(stream, 'writableNeedDrain')
+    const text = `needDrain ${needDrain}`
+    flags.push(needDrain ? chalk.yellow(text) : text, `ended ${state.inspect(stream, 'writableEnded')}`,
+      `finished ${state.inspect(stream, 'writableFinished')}`)
+  }
+  if (stream.destroyed) {
+    flags.push(chalk.red('destroyed'))
+  }
+  return flags.join('  ')
+}
+
+function formatEvent(event) {
+  const text = `${event.time}ms`.padStart(8) + `  ${event.stream} ${event.type}` +
+    (event.response === undefined ? '' : ` ${event.response}`) + (event.message ? ` ${event.message}` : '')
+  if (event.response === false) {
+    return chalk.red(text)
+  }
+  return event.type === 'drain' ? chalk.green(text) : text
+}
+
+// The lines of one screen, fitted to `rows`: the status line, the streams, the latest events, and the keys.
+function formatScreen(screen) {
+  const status = screen.idle ? 'done' : screen.paused ? 'paused' : 'running'
+  const intervals = ['readInterval', 'writeInterval'].map((property) => {
+    const entry = screen.streams.find((attached) => attached.stream[property] !== undefined)
+    return entry ? `${property} ${entry.stream[property]}ms` : null
+  }).filter(Boolean)
+  const nameLength = Math.max(...screen.streams.map((entry) => entry.name.length))
+  const lines = [
+    chalk.bold(`stream-examples ${screen.name}`) + `   ${screen.time}ms   ${status}   speed ${screen.speed}x   ` +
+      intervals.join('   '),
+    ''
+  ]
+  screen.streams.forEach((entry) => {
+    const stream = entry.stream
+    const occupancy = `${stream.getBufferLength()} chunks ${stream.getBufferSize()}/${stream.bufferLimit} ` +
+      `${stream.bufferUnit}`
+    lines.push(`${entry.name.padEnd(nameLength)}  ${render.formatBufferContents(stream)}  ${occupancy.padEnd(24)}` +
+      formatFlags(stream))
+  })
+  lines.push('', chalk.bold('Events'))
+  const room = Math.max(screen.rows - lines.length - 2, 1)
+  screen.events.slice(-room).forEach((event) => lines.push(formatEvent(event)))
+  while (lines.length < screen.rows - 1) {
+    lines.push('')
+  }
+  lines.push(chalk.dim(HELP))
+  return lines
+}
+
+module.exports = {
+  start,
+  formatScreen
+}
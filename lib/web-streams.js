@@ -0,0 +1,150 @@
+'use strict'
+
+const instrumentation = require('./instrumentation')
+const output = instrumentation.output
+
+const DEFAULTS = {
+  variant: 'backpressure',
+  readCount: 10, // the number of times pull enqueues a chunk before the stream closes
+  readInterval: 100, // ms
+  writeInterval: 250, // ms
+  sourceHighWaterMark: 100, // bytes, or chunks with the count strategy
+  sinkHighWaterMark: 100, // bytes, or chunks with the count strategy
+  chunkData: instrumentation.defaults.CHUNK_DATA,
+  strategy: 'bytes' // ByteLengthQueuingStrategy, or 'count' for CountQueuingStrategy
+}
+
+// The backpressure, errors and flowing examples, with a ReadableStream piped to a WritableStream.
+const VARIANTS = {
+  backpressure: {},
+  errors: {
+    writeInterval: 1000,
+    faults: { source: [{ type: 'emit', at: 8 }] } // pull #8 errors the readable, once the pipe is under way
+  },
+  flowing: {
+    readCount: 20,
+    writeInterval: 150
+  }
+}
+
+/*
+  readable.pipeTo(writable) in place of source.pipe(sink), with the highWaterMarks measured by a queuing strategy.
+  A stream's desiredSize is its highWaterMark less what is queued, so where a Node stream's push or write returns
+  false, desiredSize has dropped to 0 or below.
+
+  Backpressure:
+  1. A ReadableStream pulls as soon as it is created, before anything reads from it, and keeps pulling until
+     desiredSize reaches 0: its queue is full before pipeTo is even called. A Readable waits to be read.
+  2. pipeTo only writes while the writable's desiredSize is above 0, so the writable queue stops at its
+     highWaterMark, chunk being written included, like a Writable's.
+  3. pull is only called again once desiredSize is above 0, which is how reading stops when the readable queue is
+     full, like a Readable's push returning false.
+
+  Errors:
+  4. An error on the readable throws away the chunks in its queue. The chunks pipeTo has already handed to the
+     writable are still written, then the writable is aborted and the pipeTo promise rejects with the error. Under
+     .pipe() the sink would only be unpiped, and never finished or destroyed.
+  5. An error on the writable (try --faults with { "sink": [{ "type": "callback", "at": 3 }] }) cancels the readable,
+     discarding its queue.
+
+  Flowing:
+  6. There is no flowing or paused state. The readable is locked to pipeTo's reader for the whole pipe, and the
+     only signal is desiredSize going to 0 and back, here logged as pulling stops and starts.
+*/
+
+function run(options) {
+  const variant = (options && options.variant) || DEFAULTS.variant
+  if (!VARIANTS[variant]) {
+    throw new Error(`Unknown variant "${variant}", expected one of ${Object.keys(VARIANTS).join(', ')}`)
+  }
+  const config = Object.assign({}, DEFAULTS, VARIANTS[variant], options)
+  if (config.trace) {
+    throw new Error('Web streams can\'t be traced: the tracer only attaches to Node streams')
+  }
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {}, instrumentation.faults.WEB_FAULT_TYPES)
+  const clock = config.virtualTime ? new instrumentation.VirtualClock() : instrumentation.realClock
+
+  const source = new instrumentation.WebSource({
+    name: 'ReadableStream',
+    highWaterMark: config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    strategy: config.strategy,
+    faults: faults.source,
+    clock
+  })
+
+  const sink = new instrumentation.WebSink({
+    name: 'WritableStream',
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    strategy: config.strategy,
+    faults: faults.sink,
+    clock
+  })
+
+  const printChanges = instrumentation.printOnChange([source, sink])
+  source.on('change', printChanges)
+  sink.on('change', printChanges)
+  printChanges()
+
+  source.on('push', (push) => {
+    const data = push.data === null ? 'close' : `enqueue #${push.id}`
+    output.log('push', `${source.name} ${data}, desiredSize ${source.desiredSize}`)
+    if (variant === 'flowing' && source.desiredSize <= 0) {
+      output.log('bad', `${source.name} queue full, pulling stops`)
+    }
+  })
+
+  source.on('read', (count) => {
+    if (variant === 'flowing' && count > 1) {
+      output.log('good', `${source.name} pulling (desiredSize ${source.desiredSize})`)
+    }
+  })
+
+  source.on('cancel', (reason) => {
+    output.log('bad', `${source.name} cancelled: ${reason && reason.message}`)
+  })
+
+  sink.on('write', (write) => {
+    output.log('write', `${sink.name} write #${write.id} started, desiredSize ${sink.desiredSize}`)
+  })
+
+  sink.on('finish', () => {
+    output.log('bad', `${sink.name} closed`)
+  })
+
+  sink.on('abort', (reason) => {
+    output.log('bad', `${sink.name} aborted: ${reason && reason.message}`)
+  })
+
+  ;[source, sink].forEach((stream) => {
+    stream.on('fault', (fault) => {
+      output.log('fault', `${stream.name} fault: ${fault.type} at #${fault.at}`)
+    })
+  })
+
+  // Let the readable fill up on its own before piping, to show it doesn't wait to be read.
+  clock.setTimeout(() => {
+    output.log('heading', 'pipeTo')
+    source.stream.pipeTo(sink.stream).then(() => {
+      output.log('bad', 'pipeTo resolved')
+    }, (err) => {
+      output.error('bad', `pipeTo rejected: ${err.message}`)
+    })
+  }, config.readInterval * 5)
+
+  return { clock, source, sink }
+}
+
+module.exports = {
+  DEFAULTS,
+  VARIANTS,
+  traceable: false,
+  run
+}
+
+if (require.main === module) {
+  run()
+}
@@ -0,0 +1,81 @@
+'use strict'
+
+const assert = require('assert')
+const asyncIteration = require('../lib/async-iteration')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+// Each test is one of the observations in the comment at the top of lib/async-iteration.js.
+describe('async iteration', function () {
+  describe('backpressure', function () {
+    let events
+
+    before(function () {
+      return helpers.recordRun(asyncIteration).then((recording) => {
+        events = recording
+      })
+    })
+
+    it('stops reading once the source buffer is full while the loop body runs', function () {
+      const full = eventsOf(events, 'Source', 'push').find((event) => event.response === false)
+      assert(full, 'push never returned false')
+      assert.strictEqual(full.sizes.Source, asyncIteration.DEFAULTS.sourceHighWaterMark)
+      assert.strictEqual(full.buffers.Loop, 1)
+    })
+
+    it('hands the loop everything buffered as one chunk', function () {
+      const iterations = eventsOf(events, 'Loop', 'iteration')
+      assert(iterations.some((event) => event.sizes.Loop > asyncIteration.DEFAULTS.chunkData.length))
+      assert(iterations.length < asyncIteration.DEFAULTS.readCount)
+      iterations.forEach((event) => assert.strictEqual(event.buffers.Source, 0))
+    })
+
+    it('iterates Readable.from one object at a time, one object ahead', function () {
+      return helpers.recordRun(asyncIteration, { from: true }).then((recorded) => {
+        const iterations = eventsOf(recorded, 'Loop', 'iteration')
+        assert.strictEqual(iterations.length, asyncIteration.DEFAULTS.readCount)
+        const peak = Math.max(...eventsOf(recorded, 'Readable.from').map((event) => event.sizes['Readable.from']))
+        assert.strictEqual(peak, 1)
+      })
+    })
+  })
+
+  describe('errors', function () {
+    it('throws an emitted error only once a read comes back empty', function () {
+      return helpers.recordRun(asyncIteration, { variant: 'errors' }).then((events) => {
+        const error = eventsOf(events, 'Source', 'error')[0]
+        const thrown = eventsOf(events, 'Loop', 'iteration-error')[0]
+        assert.strictEqual(thrown.message, 'Test source error')
+        assert(eventsOf(events, 'Loop', 'iteration').some((event) => event.seq > error.seq))
+        assert(eventsOf(events, 'Source', 'end')[0].seq < thrown.seq)
+      })
+    })
+
+    it('throws a destroying error at the next iteration, losing what was buffered', function () {
+      const faults = { source: [{ type: 'destroy', at: 3 }] }
+      return helpers.recordRun(asyncIteration, { variant: 'errors', faults }).then((events) => {
+        const error = eventsOf(events, 'Source', 'error')[0]
+        assert.strictEqual(eventsOf(events, 'Loop', 'iteration').filter((event) => event.seq > error.seq).length, 0)
+        assert.strictEqual(eventsOf(events, 'Loop', 'iteration-error')[0].message, 'Test source error')
+      })
+    })
+
+    it('destroys the source when the loop body throws', function () {
+      return helpers.runQuietly(asyncIteration, { loopErrorAt: 2 }, () => {}).then((streams) => {
+        assert(streams.source.destroyed)
+        assert.strictEqual(streams.loop.completeId, 1)
+      })
+    })
+  })
+
+  describe('flowing', function () {
+    it('leaves the source paused and not flowing throughout', function () {
+      return helpers.recordRun(asyncIteration, { variant: 'flowing' }).then((events) => {
+        const states = eventsOf(events, 'Source').map((event) => event.state.Source)
+        assert(states.every((state) => state.flowing !== true && state.paused))
+        assert.strictEqual(states[states.length - 1].flowing, false)
+      })
+    })
+  })
+})
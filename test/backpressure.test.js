@@ -0,0 +1,93 @@
+'use strict'
+
+const assert = require('assert')
+const backpressure = require('../lib/backpressure')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+const eventsAfter = helpers.eventsAfter
+
+// Each test is one of the observations in the comment at the top of lib/backpressure.js.
+describe('backpressure', function () {
+  let events
+  let source
+  let sink
+
+  before(function () {
+    return helpers.recordPipe(backpressure.DEFAULTS).then((recording) => {
+      events = recording.events
+      source = recording.source
+      sink = recording.sink
+    })
+  })
+
+  it('fills the sink buffer until a write returns false', function () {
+    assert(eventsOf(events, 'Sink', 'write').some((event) => event.response === false))
+  })
+
+  it('backs nothing up in the read buffer until the write buffer is full', function () {
+    let needDrain = false
+    events.forEach((event) => {
+      if (event.stream === 'Sink' && event.type === 'write') {
+        needDrain = !event.response
+      } else if (event.stream === 'Sink' && event.type === 'drain') {
+        needDrain = false
+      } else if (event.stream === 'Source' && event.type === 'push' && event.buffers.Source > 0) {
+        assert(needDrain, `push #${event.seq} left ${event.buffers.Source} chunks in the source while the sink had room`)
+      }
+    })
+  })
+
+  it('accepts no new chunks into a full write buffer until it empties completely and emits drain', function () {
+    const fullWrites = eventsOf(events, 'Sink', 'write').filter((event) => event.response === false)
+    fullWrites.forEach((full) => {
+      const untilDrain = eventsAfter(events, full, (event) => event.stream === 'Sink' && event.type === 'drain')
+      assert.deepStrictEqual(eventsOf(untilDrain, 'Sink', 'write'), [])
+    })
+    eventsOf(events, 'Sink', 'drain').forEach((drain) => assert.strictEqual(drain.buffers.Sink, 0))
+  })
+
+  it('stops reading once the read buffer is full, signaled by push returning false', function () {
+    const fullPushes = eventsOf(events, 'Source', 'push').filter((event) => !event.eof && event.response === false)
+    assert(fullPushes.length > 0)
+    fullPushes.forEach((full) => {
+      assert(full.buffers.Source >= source.bufferCapacity)
+      const untilRead = eventsAfter(events, full, (event) => event.stream === 'Source' && event.type === 'read')
+      const consumed = eventsOf(untilRead, 'Source').filter((event) => event.type === 'resume' || event.type === 'data')
+      assert(consumed.length > 0, `the source read again after push #${full.seq} before anything was taken out`)
+    })
+  })
+
+  it('moves as much of the read buffer as possible into the write buffer after drain', function () {
+    eventsOf(events, 'Sink', 'drain').forEach((drain) => {
+      const sameTick = eventsAfter(events, drain, (event) => event.time !== drain.time)
+      const last = sameTick[sameTick.length - 1] || drain
+      const refilled = eventsOf(sameTick, 'Sink', 'write').some((event) => event.response === false)
+      assert(last.buffers.Source === 0 || refilled)
+    })
+  })
+
+  it('pushes into the sink synchronously: the write happens inside push', function () {
+    const firstPush = eventsOf(events, 'Source', 'push')[0]
+    const firstWrite = eventsOf(events, 'Sink', 'write')[0]
+    assert(firstWrite.seq < firstPush.seq)
+    assert.strictEqual(firstWrite.time, firstPush.time)
+  })
+
+  it('does not end the source until all the data was read and its buffer is empty', function () {
+    const end = eventsOf(events, 'Source', 'end')[0]
+    const eof = eventsOf(events, 'Source', 'push').find((event) => event.eof)
+    assert(eof.seq < end.seq)
+    assert.strictEqual(end.buffers.Source, 0)
+  })
+
+  it('counts the chunk being written against the sink highWaterMark', function () {
+    eventsOf(events, 'Sink', 'write').filter((event) => event.response === false).forEach((full) => {
+      assert.strictEqual(full.buffers.Sink, sink.bufferCapacity)
+    })
+  })
+
+  it('writes every chunk', function () {
+    assert.strictEqual(sink.completeId, backpressure.DEFAULTS.readCount)
+  })
+})
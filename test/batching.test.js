@@ -0,0 +1,63 @@
+'use strict'
+
+const assert = require('assert')
+const instrumentation = require('../lib/instrumentation')
+const batching = require('../lib/batching')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+const BURST = batching.DEFAULTS.burstSize
+const CHUNKS = batching.DEFAULTS.readCount * BURST
+
+// Runs a variant with runQuietly, and resolves with its events and the sinks' summaries it printed as json.
+function recordVariant(variant) {
+  const events = []
+  return helpers.recordJson(batching, { variant }, (streams) => {
+    streams.tracer.on('event', (event) => events.push(event))
+  }).then((recording) => {
+    return { events, metrics: recording.lines.find((line) => line.type === 'comparison').sinks }
+  })
+}
+
+// Each test is one of the observations in the comment at the top of lib/batching.js.
+describe('batching', function () {
+  it('writes the first chunk of a burst alone and the rest in one _writev, emptying the buffer at once', function () {
+    return recordVariant('writev').then((recording) => {
+      const batches = eventsOf(recording.events, 'BatchSink', 'writev-start')
+      assert.strictEqual(batches.length, batching.DEFAULTS.readCount)
+      batches.forEach((batch) => {
+        assert.strictEqual(batch.chunks, BURST - 1)
+        assert.strictEqual(batch.buffers.BatchSink, BURST - 1)
+      })
+      eventsOf(recording.events, 'BatchSink', 'writev-complete').forEach((complete) => {
+        assert.strictEqual(complete.chunkSize, (BURST - 1) * batching.DEFAULTS.chunkData.length)
+        assert.strictEqual(complete.buffers.BatchSink, 0)
+      })
+      assert.deepStrictEqual(eventsOf(recording.events, 'Sink', 'writev-start'), [])
+    })
+  })
+
+  it('writes each whole burst in one _writev when corked, and one chunk at a time into Sink', function () {
+    return recordVariant('cork').then((recording) => {
+      const batches = eventsOf(recording.events, 'BatchSink', 'writev-start')
+      assert.deepStrictEqual(batches.map((batch) => batch.chunks), Array(batching.DEFAULTS.readCount).fill(BURST))
+      assert.deepStrictEqual(eventsOf(recording.events, 'BatchSink', 'write-start'), [])
+      assert.strictEqual(eventsOf(recording.events, 'Sink', 'write-start').length, CHUNKS)
+    })
+  })
+
+  it('counts write calls, and BatchSink takes fewer of them for the same chunks in less time', function () {
+    return recordVariant('cork').then((recording) => {
+      const single = recording.metrics[0]
+      const batch = recording.metrics[1]
+      assert.deepStrictEqual([single.chunks, single.writes], [CHUNKS, CHUNKS])
+      assert.deepStrictEqual([batch.chunks, batch.writes], [CHUNKS, batching.DEFAULTS.readCount])
+      assert.strictEqual(batch.latency.perChunk.length, CHUNKS)
+      assert.ok(batch.time < single.time)
+      assert.ok(batch.sizePerSecond > single.sizePerSecond)
+      const lines = instrumentation.compareMetrics([single, batch])
+      assert.ok(/^BatchSink +32 chunks +8 write calls +4 chunks\/call +2700ms/.test(lines[1]), lines[1])
+    })
+  })
+})
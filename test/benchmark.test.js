@@ -0,0 +1,47 @@
+'use strict'
+
+const assert = require('assert')
+const benchmark = require('../lib/benchmark')
+
+describe('benchmark', function () {
+  let results
+
+  before(function () {
+    return benchmark.runBenchmark({ readCount: 200, highWaterMarks: [1024], chunkSizes: [64, 2048] })
+      .then((measured) => {
+        results = measured
+      })
+  })
+
+  it('measures every combination of highWaterMark, chunk size and object mode', function () {
+    assert.deepStrictEqual(results.map((result) => [result.objectMode, result.highWaterMark, result.chunkSize]), [
+      [false, 1024, 64],
+      [false, 1024, 2048],
+      [true, 1024, 64],
+      [true, 1024, 2048]
+    ])
+    results.forEach((result) => {
+      assert.strictEqual(result.chunks, 200)
+      assert.ok(result.opsPerSecond > 0)
+      // both rounded from the same rate
+      assert.ok(Math.abs(result.bytesPerSecond - result.opsPerSecond * result.chunkSize) <= result.chunkSize)
+      assert.ok(result.heapHighWater >= 0)
+      assert.ok(result.eventLoopDelayMax >= result.eventLoopDelayMean)
+    })
+  })
+
+  it('turns highWaterMarks into objects of the chunk size in object mode, at least one', function () {
+    assert.deepStrictEqual(results.map((result) => result.streamHighWaterMark), [1024, 1024, 16, 1])
+  })
+
+  it('formats a table and CSV with a line per combination', function () {
+    const table = benchmark.formatTable(results)
+    assert.strictEqual(table.length, 5)
+    assert.match(table[0], /^objectMode\s+highWaterMark\s+chunk size\s+ops\/s/)
+    assert.match(table[4], /^true\s+1024 \(1 object\)\s+2048/)
+    const csv = benchmark.formatCsv(results).trim().split('\n')
+    assert.strictEqual(csv.length, 5)
+    assert.strictEqual(csv[0].split(',').length, csv[1].split(',').length)
+    assert.match(csv[1], /^false,1024,1024,64,200,/)
+  })
+})
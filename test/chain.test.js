@@ -0,0 +1,56 @@
+'use strict'
+
+const assert = require('assert')
+const chain = require('../lib/chain')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+const eventsAfter = helpers.eventsAfter
+
+// The first event of `stream` of `type` that returned false.
+function firstFalse(events, stream, type) {
+  return eventsOf(events, stream, type).find((event) => event.response === false && !event.eof)
+}
+
+// Each test is one of the observations in the comment at the top of lib/chain.js.
+describe('chain', function () {
+  let events
+
+  before(function () {
+    return helpers.recordRun(chain).then((recorded) => {
+      events = recorded
+    })
+  })
+
+  it('backs chunks up in front of the slow stage, first in its writable side and then in the link', function () {
+    const slowFull = firstFalse(events, 'Slow', 'write')
+    const linkFull = firstFalse(events, 'Link', 'push')
+    assert.ok(slowFull && linkFull)
+    assert.ok(slowFull.seq < linkFull.seq)
+    assert.strictEqual(Math.max(...events.map((event) => event.sizes.Slow)), chain.DEFAULTS.transformHighWaterMark)
+  })
+
+  it('never fills the sink after the slow stage', function () {
+    assert.strictEqual(firstFalse(events, 'Sink', 'write'), undefined)
+    assert.ok(events.every((event) => event.sizes.Sink <= chain.DEFAULTS.chunkData.length))
+  })
+
+  it('holds the write callback of the link while its readable side is full, until the slow stage reads', function () {
+    const full = eventsOf(events, 'Link', 'push').filter((event) => event.response === false && !event.eof)
+    assert.ok(full.length > 0)
+    full.forEach((push) => {
+      const held = eventsAfter(events, push, (event) => event.stream === 'Link' && event.type === 'write-complete')
+      assert.ok(eventsOf(held, 'Link', 'read').length > 0, `push #${push.seq} released its callback without a read`)
+    })
+    assert.ok(firstFalse(events, 'Link', 'push').seq < firstFalse(events, 'Link', 'write').seq)
+    assert.ok(firstFalse(events, 'Link', 'write').seq < firstFalse(events, 'Fast', 'write').seq)
+  })
+
+  it('stops the source reading only once the fast transform is full and its own buffer has filled', function () {
+    assert.ok(firstFalse(events, 'Fast', 'write').seq < firstFalse(events, 'Source', 'push').seq)
+    eventsOf(events, 'Source', 'push').filter((event) => event.response === false && !event.eof).forEach((push) => {
+      const stopped = eventsAfter(events, push, (event) => event.stream === 'Source' && event.type === 'read')
+      assert.ok(eventsOf(stopped, 'Source', 'resume').length > 0, `push #${push.seq} was read after without a resume`)
+    })
+  })
+})
@@ -0,0 +1,32 @@
+'use strict'
+
+const assert = require('assert')
+const chunkTypes = require('../lib/chunk-types')
+const instrumentation = require('../lib/instrumentation')
+
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+describe('chunk types', function () {
+  it('cycles through the chunk sizes', function () {
+    const source = new instrumentation.Source({ chunkType: 'buffer', chunkSizes: [3, 30] })
+    assert.deepStrictEqual([1, 2, 3].map((n) => source._createChunk(n).length), [3, 30, 3])
+  })
+
+  it('fills the buffers by bytes, not by chunks', function () {
+    return helpers.recordRun(chunkTypes).then((events) => {
+      const full = eventsOf(events, 'Sink', 'write').find((event) => event.response === false)
+      assert(full.sizes.Sink >= chunkTypes.DEFAULTS.sinkHighWaterMark)
+      assert.notStrictEqual(full.sizes.Sink, full.buffers.Sink * chunkTypes.DEFAULTS.chunkSizes[0])
+    })
+  })
+
+  it('counts objects against the highWaterMark in object mode', function () {
+    return helpers.recordRun(chunkTypes, { chunkType: 'object' }).then((events) => {
+      const full = eventsOf(events, 'Sink', 'write').find((event) => event.response === false)
+      assert.strictEqual(full.sizes.Sink, chunkTypes.DEFAULTS.objectHighWaterMark)
+      assert.strictEqual(full.sizes.Sink, full.buffers.Sink)
+    })
+  })
+})
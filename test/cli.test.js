@@ -0,0 +1,48 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const helpers = require('./helpers')
+
+const runCli = helpers.runCli
+
+describe('cli', function () {
+  let dir
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-examples-cli-'))
+  })
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true })
+  })
+
+  it('lists only the variants examples can be run with when given an unknown one', function () {
+    const result = runCli(['backpressure', '--variant', 'nope'])
+    assert.strictEqual(result.status, 1)
+    const message = result.stderr.split('\n')[0]
+    assert.strictEqual(message, '--variant expects one of backpressure, errors, flowing, file, socket, zlib, child, ' +
+      'write, push, drain, readable, data, mixed, writev, cork, got nope')
+    assert.ok(runCli(['error-propagation', '--variant', '2']).stderr.split('\n')[0].endsWith('cork, got 2'))
+  })
+
+  it('prints the message of an option an example refuses, without a stack trace', function () {
+    const result = runCli(['web-streams', '--trace', path.join(dir, 'web-streams.jsonl')])
+    assert.strictEqual(result.status, 1)
+    assert.strictEqual(result.stderr, "Web streams can't be traced: the tracer only attaches to Node streams\n")
+    const realIo = runCli(['real-io', '--virtual-time'])
+    assert.strictEqual(realIo.status, 1)
+    assert.strictEqual(realIo.stderr.trim(),
+      'The real-io example runs on real I/O, which the virtual clock has no hold over')
+  })
+
+  it('refuses a fault plan for an example whose source and sink would ignore it', function () {
+    const file = path.join(dir, 'faults.json')
+    fs.writeFileSync(file, JSON.stringify({ source: [{ type: 'throw', at: 2 }] }))
+    const result = runCli(['batching', '--faults', file])
+    assert.strictEqual(result.status, 1)
+    assert.strictEqual(result.stderr.split('\n')[0], "batching doesn't take a fault plan")
+  })
+})
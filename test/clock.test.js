@@ -0,0 +1,64 @@
+'use strict'
+
+const assert = require('assert')
+const VirtualClock = require('../lib/instrumentation').VirtualClock
+
+describe('VirtualClock', function () {
+  it('fires timers in order without waiting', function () {
+    const clock = new VirtualClock()
+    const fired = []
+    clock.setTimeout(() => fired.push(clock.now()), 200)
+    clock.setTimeout(() => fired.push(clock.now()), 100)
+    return new Promise((resolve) => clock.once('idle', resolve)).then(() => {
+      assert.deepStrictEqual(fired, [100, 200])
+    })
+  })
+
+  it('fires one timer per step while paused, and the rest on resume', function () {
+    const clock = new VirtualClock()
+    const fired = []
+    clock.pause()
+    ;[100, 200, 300].forEach((delay) => clock.setTimeout(() => fired.push(delay), delay))
+    return new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+      assert.deepStrictEqual(fired, [])
+      assert(clock.step())
+      assert.deepStrictEqual(fired, [100])
+      const idle = new Promise((resolve) => clock.once('idle', resolve))
+      clock.resume()
+      return idle
+    }).then(() => {
+      assert.deepStrictEqual(fired, [100, 200, 300])
+      assert(!clock.step())
+    })
+  })
+
+  it('waits in real time, divided by speed, when given a speed', function () {
+    const clock = new VirtualClock()
+    clock.speed = 10
+    const started = Date.now()
+    clock.setTimeout(() => {}, 300)
+    return new Promise((resolve) => clock.once('idle', resolve)).then(() => {
+      assert(Date.now() - started >= 25, `took ${Date.now() - started}ms`)
+      assert.strictEqual(clock.now(), 300)
+    })
+  })
+  it('waits for the next timer from scratch after a step taken during a wait', function () {
+    const clock = new VirtualClock()
+    clock.speed = 2
+    const fired = []
+    clock.setTimeout(() => fired.push(clock.now()), 200)
+    clock.setTimeout(() => fired.push(clock.now()), 600)
+    let resumed
+    return new Promise((resolve) => setTimeout(resolve, 20)).then(() => {
+      clock.pause()
+      assert(clock.step())
+      resumed = Date.now()
+      const idle = new Promise((resolve) => clock.once('idle', resolve))
+      clock.resume()
+      return idle
+    }).then(() => {
+      assert.deepStrictEqual(fired, [200, 600])
+      assert(Date.now() - resumed >= 150, `took ${Date.now() - resumed}ms`)
+    })
+  })
+})
@@ -0,0 +1,127 @@
+'use strict'
+
+const assert = require('assert')
+const childProcess = require('child_process')
+const http = require('http')
+const path = require('path')
+
+const BIN = path.join(__dirname, '..', 'bin', 'stream-examples.js')
+
+// Collects the server-sent events from the dashboard as { event, data } until `until` returns true.
+function readEvents(port, until) {
+  return new Promise((resolve, reject) => {
+    const events = []
+    const req = http.get({ host: 'localhost', port, path: '/events' }, (res) => {
+      let buffered = ''
+      res.setEncoding('utf8')
+      res.on('data', (text) => {
+        buffered += text
+        const messages = buffered.split('\n\n')
+        buffered = messages.pop()
+        messages.forEach((message) => {
+          const lines = message.split('\n')
+          events.push({ event: lines[0].slice('event: '.length), data: JSON.parse(lines[1].slice('data: '.length)) })
+        })
+        if (until(events)) {
+          req.destroy()
+          resolve(events)
+        }
+      })
+    })
+    req.on('error', reject)
+  })
+}
+
+function control(port, query) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: 'localhost', port, path: `/control?${query}`, method: 'POST' }, (res) => {
+      res.resume()
+      res.on('end', () => resolve(res.statusCode))
+    })
+    req.on('error', reject)
+    req.end()
+  })
+}
+
+function lastClock(events) {
+  const clocks = events.filter((entry) => entry.event === 'clock')
+  return clocks.length ? clocks[clocks.length - 1].data : {}
+}
+
+// The dashboard runs in its own process, as the example logs to stdout as it runs.
+describe('dashboard', function () {
+  let child
+  let port
+
+  before(function (done) {
+    child = childProcess.spawn(process.execPath, [BIN, 'backpressure', '--dashboard', '--port', '0', '--speed', '0'])
+    let output = ''
+    child.stdout.setEncoding('utf8')
+    child.stdout.on('data', (text) => {
+      output += text
+      const match = !port && output.match(/http:\/\/localhost:(\d+)\//)
+      if (match) {
+        port = Number(match[1])
+        done()
+      }
+    })
+  })
+
+  after(function () {
+    child.kill()
+  })
+
+  it('sends the streams, and starts paused', function () {
+    return readEvents(port, (events) => events.some((entry) => entry.event === 'clock')).then((events) => {
+      assert.deepStrictEqual(events[0].data.streams.map((stream) => stream.name), ['Source', 'Sink'])
+      assert.strictEqual(lastClock(events).paused, true)
+      assert.strictEqual(lastClock(events).time, 0)
+    })
+  })
+
+  it('fires one timer per step', function () {
+    return control(port, 'action=step').then((status) => {
+      assert.strictEqual(status, 204)
+      return readEvents(port, (events) => lastClock(events).time === 100)
+    }).then((events) => {
+      assert(events.some((entry) => entry.event === 'trace' && entry.data.type === 'push'))
+      assert.strictEqual(lastClock(events).paused, true)
+    })
+  })
+
+  it('plays the example to the end', function () {
+    return control(port, 'action=play').then(() => {
+      return readEvents(port, (events) => lastClock(events).idle)
+    }).then((events) => {
+      const traced = events.filter((entry) => entry.event === 'trace').map((entry) => entry.data)
+      assert(traced.some((event) => event.stream === 'Sink' && event.type === 'finish'))
+    })
+  })
+
+  it('starts the example again on restart', function () {
+    return control(port, 'action=restart').then(() => {
+      return readEvents(port, (events) => events.some((entry) => entry.event === 'clock'))
+    }).then((events) => {
+      assert.strictEqual(events.filter((entry) => entry.event === 'trace').length, 0)
+      assert.strictEqual(lastClock(events).time, 0)
+    })
+  })
+
+  it('rejects unknown controls', function () {
+    return control(port, 'action=rewind').then((status) => assert.strictEqual(status, 400))
+  })
+
+  it('only starts at a speed the page offers', function () {
+    const result = childProcess.spawnSync(process.execPath, [BIN, 'backpressure', '--dashboard', '--speed', '3'],
+      { encoding: 'utf8', timeout: 10000 })
+    assert.strictEqual(result.status, 1)
+    assert.strictEqual(result.stderr.trim(), 'The dashboard runs at a speed of 0.25, 0.5, 1, 2, 4, 0, got 3')
+  })
+
+  it('says so and exits when the port is taken', function () {
+    const args = [BIN, 'backpressure', '--dashboard', '--port', String(port)]
+    const result = childProcess.spawnSync(process.execPath, args, { encoding: 'utf8', timeout: 10000 })
+    assert.strictEqual(result.status, 1)
+    assert.strictEqual(result.stderr.trim(), `Port ${port} is already in use, pick another with --port`)
+  })
+})
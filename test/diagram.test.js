@@ -0,0 +1,93 @@
+'use strict'
+
+const assert = require('assert')
+const backpressure = require('../lib/backpressure')
+const diagram = require('../lib/diagram')
+const helpers = require('./helpers')
+
+describe('diagram', function () {
+  let trace
+
+  before(function () {
+    return helpers.recordPipe(backpressure.DEFAULTS).then((recording) => {
+      const streams = [recording.source, recording.sink].map((stream) => ({
+        name: stream.name,
+        bufferCapacity: stream.bufferCapacity,
+        bufferLimit: stream.bufferLimit,
+        bufferUnit: stream.bufferUnit
+      }))
+      trace = { header: { type: 'header', streams }, events: recording.events }
+    })
+  })
+
+  it('puts the pipe between source and sink, with a step per event and a note each time the clock moves', function () {
+    const sequence = diagram.sequence(trace)
+    assert.deepStrictEqual(sequence.participants.map((participant) => participant.name), ['Source', 'pipe', 'Sink'])
+    const messages = sequence.steps.filter((step) => step.kind === 'message')
+    assert.strictEqual(messages.length, trace.events.length)
+    const times = sequence.steps.filter((step) => step.kind === 'time').map((step) => step.time)
+    assert.deepStrictEqual(times, Array.from(new Set(trace.events.map((event) => event.time))))
+  })
+
+  it('gives each pair of streams piped together a pipe lane of its own, just before the destination', function () {
+    return helpers.recordPairs(2, backpressure.DEFAULTS, { readCount: 3 }).then((pairs) => {
+      const sequence = diagram.sequence(pairs)
+      assert.deepStrictEqual(sequence.participants, [
+        { id: 's0', name: 'Source 1' },
+        { id: 'pipe0', name: 'pipe Source 1 to Sink 1' },
+        { id: 's1', name: 'Sink 1' },
+        { id: 's2', name: 'Source 2' },
+        { id: 'pipe1', name: 'pipe Source 2 to Sink 2' },
+        { id: 's3', name: 'Sink 2' }
+      ])
+      // every arrow from one stream to another goes through the pipe lane of its own pair
+      const lanes = { s0: 'pipe0', s1: 'pipe0', s2: 'pipe1', s3: 'pipe1' }
+      sequence.steps.filter((step) => step.kind === 'message' && step.from !== step.to).forEach((step) => {
+        const stream = lanes[step.from] ? step.from : step.to
+        assert.strictEqual(step.from === stream ? step.to : step.from, lanes[stream], JSON.stringify(step))
+      })
+      assert.ok(sequence.steps.some((step) => step.from === 'pipe1' && step.to === 's3' && step.text === "'pipe'"))
+    })
+  })
+
+  it('draws calls as solid arrows and events as dashed ones in Mermaid', function () {
+    const lines = diagram.toMermaid(trace).split('\n')
+    assert.strictEqual(lines[0], 'sequenceDiagram')
+    assert.deepStrictEqual(lines.slice(1, 4), [
+      '  participant s0 as Source',
+      '  participant pipe as pipe',
+      '  participant s1 as Sink'
+    ])
+    assert.ok(lines.indexOf('  s0->>pipe: push(chunk) false') !== -1)
+    assert.ok(lines.indexOf('  pipe->>s1: write() false') !== -1)
+    assert.ok(lines.indexOf("  s1-->>pipe: 'drain'") !== -1)
+    assert.ok(lines.indexOf("  s1-->>pipe: 'finish'") !== -1)
+  })
+
+  it('writes the same sequence as PlantUML', function () {
+    const lines = diagram.toPlantUml(trace).trim().split('\n')
+    assert.strictEqual(lines[0], '@startuml')
+    assert.strictEqual(lines[lines.length - 1], '@enduml')
+    assert.ok(lines.indexOf('s0 -> pipe : push(chunk) false') !== -1)
+    assert.ok(lines.indexOf("s1 --> pipe : 'drain'") !== -1)
+  })
+
+  it('draws a lane per stream in the SVG, marking each push that returned false and each drain', function () {
+    const svg = diagram.renderDiagram(trace, 'svg')
+    assert.ok(/^<svg [^>]*>/.test(svg))
+    assert.ok(svg.trim().endsWith('</svg>'))
+    assert.strictEqual((svg.match(/<path /g) || []).length, 2)
+    const marked = (type) => (svg.match(new RegExp(`<title>[0-9.]+ms ${type}</title>`, 'g')) || []).length
+    const count = (type) => trace.events.filter((event) => event.type === type).length
+    assert.strictEqual(marked('push'), trace.events.filter((event) => event.type === 'push' && !event.response).length)
+    assert.strictEqual(marked('drain'), count('drain'))
+    assert.throws(() => diagram.renderDiagram(trace, 'png'), /Unknown diagram format png/)
+  })
+
+  it('says so when the trace has no streams to draw', function () {
+    const empty = { header: { type: 'header', streams: [] }, events: [] }
+    diagram.FORMATS.forEach((format) => {
+      assert.throws(() => diagram.renderDiagram(empty, format), /^Error: The trace header lists no streams/)
+    })
+  })
+})
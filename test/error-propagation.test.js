@@ -0,0 +1,61 @@
+'use strict'
+
+const assert = require('assert')
+const errorPropagation = require('../lib/error-propagation')
+
+// The observations in the comment at the top of lib/error-propagation.js.
+describe('error propagation', function () {
+  let results
+
+  before(function (done) {
+    errorPropagation.runVariants({}, () => {}, (all) => {
+      results = all
+      done()
+    })
+  })
+
+  function resultOf(variant, failure) {
+    return results.find((result) => result.variant === variant && result.failure === failure)
+  }
+
+  it('hangs a pipe when the sink errors, leaving both streams alive', function () {
+    const result = resultOf('pipe', 'sink')
+    assert.strictEqual(result.outcome, 'hangs')
+    assert.strictEqual(result.streams.Source.destroyed, false)
+    assert.strictEqual(result.streams.Sink.destroyed, false)
+  })
+
+  it('carries on piping when the source emits an error', function () {
+    assert.strictEqual(resultOf('pipe', 'source').outcome, 'completes')
+  })
+
+  it('destroys only the failing stream when it is destroyed under a pipe', function () {
+    const result = resultOf('pipe, destroy(err)', 'sink')
+    assert.strictEqual(result.outcome, 'hangs')
+    assert.strictEqual(result.streams.Sink.closed, true)
+    assert.strictEqual(result.streams.Source.destroyed, false)
+  })
+
+  it('destroys and closes every stream under pipeline, and calls back with the error', function () {
+    ['pipeline', 'pipeline, emit error'].forEach((variant) => {
+      ['source', 'sink'].forEach((failure) => {
+        const result = resultOf(variant, failure)
+        assert.strictEqual(result.outcome, `calls back: Test ${failure} error`)
+        assert(result.streams.Source.destroyed && result.streams.Source.closed)
+        assert(result.streams.Sink.destroyed && result.streams.Sink.closed)
+      })
+    })
+  })
+
+  it('reports the error through finished() on both streams under pipeline', function () {
+    const result = resultOf('pipeline', 'sink')
+    assert.strictEqual(result.streams.Source.finished, 'Test sink error')
+    assert.strictEqual(result.streams.Sink.finished, 'Test sink error')
+  })
+
+  it('destroys streams without emitting close when emitClose is false', function () {
+    const result = resultOf('pipeline, emitClose false', 'source')
+    assert(result.streams.Source.destroyed && result.streams.Sink.destroyed)
+    assert(!result.streams.Source.closed && !result.streams.Sink.closed)
+  })
+})
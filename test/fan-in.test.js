@@ -0,0 +1,53 @@
+'use strict'
+
+const assert = require('assert')
+const fanIn = require('../lib/fan-in')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+const SOURCES = ['Source 1', 'Source 2', 'Source 3']
+
+// Each test is one of the observations in the comment at the top of lib/fan-in.js.
+describe('fan-in', function () {
+  let events
+
+  before(function () {
+    return helpers.recordRun(fanIn).then((recording) => {
+      events = recording
+    })
+  })
+
+  it('pauses a source only when its own write returns false', function () {
+    eventsOf(events, 'Sink', 'write').forEach((write) => {
+      const next = events[events.indexOf(write) + 1]
+      const paused = next.type === 'pause' && SOURCES.indexOf(next.stream) !== -1
+      assert.strictEqual(paused, write.response === false, `write #${write.seq} and the pause after it disagree`)
+    })
+    const peak = Math.max(...eventsOf(events, 'Sink').map((event) => event.sizes.Sink))
+    assert(peak > fanIn.DEFAULTS.sinkHighWaterMark)
+  })
+
+  it('resumes every paused source when the sink drains', function () {
+    eventsOf(events, 'Sink', 'drain').forEach((drain) => {
+      const after = events.slice(events.indexOf(drain))
+      const resumed = after.filter((event) => event.type === 'resume' && event.time === drain.time)
+      assert(resumed.length > 1, `only ${resumed.length} source resumed at #${drain.seq}`)
+    })
+  })
+
+  it('pauses every source, however slowly it reads', function () {
+    SOURCES.forEach((name) => {
+      assert(eventsOf(events, name, 'pause').length > 0, `${name} was never paused`)
+    })
+  })
+
+  it('does not finish the sink until every source has ended', function () {
+    const finish = eventsOf(events, 'Sink', 'finish')[0]
+    assert(finish)
+    SOURCES.forEach((name) => {
+      assert(eventsOf(events, name, 'end')[0].seq < finish.seq, `${name} ended after the sink finished`)
+    })
+    assert.strictEqual(eventsOf(events, 'Sink', 'write').length, SOURCES.length * fanIn.DEFAULTS.readCount)
+  })
+})
@@ -0,0 +1,53 @@
+'use strict'
+
+const assert = require('assert')
+const fanOut = require('../lib/fan-out')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+// Each test is one of the observations in the comment at the top of lib/fan-out.js.
+describe('fan-out', function () {
+  let events
+
+  before(function () {
+    return helpers.recordRun(fanOut).then((recording) => {
+      events = recording
+    })
+  })
+
+  it('keeps the source paused until every sink that returned false has drained', function () {
+    const waiting = new Set()
+    events.forEach((event) => {
+      if (event.type === 'write' && event.response === false) {
+        waiting.add(event.stream)
+      } else if (event.type === 'drain' || event.type === 'unpipe') {
+        waiting.delete(event.stream)
+      } else if (event.stream === 'Source' && event.type === 'resume') {
+        assert.deepStrictEqual(Array.from(waiting), [], `the source resumed at #${event.seq} with sinks still full`)
+      }
+    })
+    assert(eventsOf(events, 'Sink 1', 'drain').length > 0)
+  })
+
+  it('holds the fast sinks back to the pace of the slowest', function () {
+    const firstError = eventsOf(events, 'Sink 3', 'error')[0]
+    const writesBefore = (name) => eventsOf(events, name, 'write').filter((event) => event.seq < firstError.seq)
+    const slowest = writesBefore('Sink 3').length
+    assert(writesBefore('Sink 1').length - slowest <= 4, 'the fast sink got more than a buffer ahead')
+  })
+
+  it('unpipes only the sink that errored, and the others carry on to finish', function () {
+    assert.strictEqual(eventsOf(events, 'Sink 3', 'unpipe').length, 1)
+    const error = eventsOf(events, 'Sink 3', 'error')[0]
+    assert(eventsOf(events, 'Sink 1', 'unpipe').every((event) => event.seq > error.seq))
+    assert.strictEqual(eventsOf(events, 'Sink 1', 'write').length, fanOut.DEFAULTS.readCount)
+    assert.strictEqual(eventsOf(events, 'Sink 2', 'finish').length, 1)
+  })
+
+  it('leaves the unpiped sink to write its buffer without finishing', function () {
+    const unpipe = eventsOf(events, 'Sink 3', 'unpipe')[0]
+    assert(eventsOf(events, 'Sink 3', 'write-complete').some((event) => event.seq > unpipe.seq))
+    assert.strictEqual(eventsOf(events, 'Sink 3', 'finish').length, 0)
+  })
+})
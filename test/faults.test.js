@@ -0,0 +1,129 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const instrumentation = require('../lib/instrumentation')
+const errors = require('../lib/errors')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+function recordFaults(plan) {
+  return helpers.recordPipe(errors.DEFAULTS, { faults: plan })
+}
+
+describe('faults', function () {
+  let dir
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-examples-faults-'))
+  })
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true })
+  })
+
+  describe('validateFaultPlan', function () {
+    it('fills in missing streams', function () {
+      assert.deepStrictEqual(instrumentation.faults.validateFaultPlan({ sink: [{ type: 'callback', at: 2 }] }), {
+        source: [],
+        sink: [{ type: 'callback', at: 2 }]
+      })
+    })
+
+    it('rejects unknown streams, unknown types and faults without a position', function () {
+      const validate = instrumentation.faults.validateFaultPlan
+      assert.throws(() => validate({ transform: [] }), /Unknown stream "transform"/)
+      assert.throws(() => validate({ source: [{ type: 'callback', at: 1 }] }), /Unknown Source fault "callback"/)
+      assert.throws(() => validate({ sink: [{ type: 'emit' }] }), /needs "at"/)
+    })
+
+    it('is checked by the streams themselves', function () {
+      assert.throws(() => new instrumentation.Sink({ faults: [{ type: 'push-after-eof' }] }), /Unknown Sink fault/)
+    })
+  })
+
+  it('records each fault as it acts', function () {
+    return recordFaults({ source: [{ type: 'emit', at: 3 }], sink: [{ type: 'emit', at: 7 }] }).then((recording) => {
+      const faults = eventsOf(recording.events, 'Source', 'fault').concat(eventsOf(recording.events, 'Sink', 'fault'))
+      assert.deepStrictEqual(faults.map((event) => [event.stream, event.fault, event.at]), [
+        ['Source', 'emit', 3],
+        ['Sink', 'emit', 7]
+      ])
+    })
+  })
+
+  it('destroys the sink and unpipes it when the error is passed to the write callback', function () {
+    return recordFaults({ sink: [{ type: 'callback', at: 2 }] }).then((recording) => {
+      const fault = eventsOf(recording.events, 'Sink', 'fault')[0]
+      const after = recording.events.slice(recording.events.indexOf(fault))
+      assert.strictEqual(eventsOf(after, 'Sink', 'error')[0].message, 'Test sink error')
+      assert(eventsOf(after, 'Sink', 'unpipe').length > 0)
+      assert(recording.sink.destroyed)
+      assert(!recording.source.destroyed)
+    })
+  })
+
+  it('stalls the pipe when the write callback is never called', function () {
+    return recordFaults({ sink: [{ type: 'no-callback', at: 2 }] }).then((recording) => {
+      assert.strictEqual(recording.sink.completeId, 1)
+      assert.strictEqual(eventsOf(recording.events, 'Sink', 'finish').length, 0)
+      assert.strictEqual(eventsOf(recording.events, 'Source', 'end').length, 0)
+    })
+  })
+
+  it('errors the source when it pushes after pushing null', function () {
+    return recordFaults({ source: [{ type: 'push-after-eof' }] }).then((recording) => {
+      const error = eventsOf(recording.events, 'Source', 'error')[0]
+      assert(/after EOF/.test(error.message))
+    })
+  })
+
+  it('destroys the source when _read throws', function () {
+    return recordFaults({ source: [{ type: 'throw', at: 2 }] }).then((recording) => {
+      assert.strictEqual(eventsOf(recording.events, 'Source', 'error')[0].message, 'Test source error')
+      assert(recording.source.destroyed)
+    })
+  })
+
+  it('destroys the source instead of pushing, and leaves the sink unfinished', function () {
+    return recordFaults({ source: [{ type: 'destroy', at: 2 }] }).then((recording) => {
+      assert.strictEqual(eventsOf(recording.events, 'Source', 'error')[0].message, 'Test source error')
+      assert(recording.source.destroyed)
+      assert(!recording.sink.destroyed)
+      assert.deepStrictEqual(eventsOf(recording.events, 'Sink', 'finish'), [])
+    })
+  })
+
+  // In a child process, as nothing catches the throw and it takes the process down.
+  it('crashes the process with what _write throws under a pipe', function () {
+    const plan = path.join(dir, 'sink-throw.json')
+    fs.writeFileSync(plan, JSON.stringify({ sink: [{ type: 'throw', at: 2 }] }))
+    const result = helpers.runCli(['errors', '--virtual-time', '--output', 'plain', '--faults', plan])
+    assert.strictEqual(result.status, 1)
+    assert.ok(result.stdout.includes('Sink fault: throw at #2'))
+    assert.ok(!result.stdout.includes('Sink finish'))
+    assert.match(result.stderr, /^Error: Test sink error\n {4}at Sink\._startWrite/m)
+  })
+
+  it('destroys the sink instead of writing, and unpipes it', function () {
+    return recordFaults({ sink: [{ type: 'destroy', at: 2 }] }).then((recording) => {
+      assert.strictEqual(eventsOf(recording.events, 'Sink', 'error')[0].message, 'Test sink error')
+      assert(eventsOf(recording.events, 'Sink', 'unpipe').length > 0)
+      assert(recording.sink.destroyed)
+      assert.strictEqual(recording.sink.completeId, 1)
+    })
+  })
+
+  it('reports the write a second callback completes early, and finishes before the last write completes', function () {
+    return recordFaults({ sink: [{ type: 'double-callback', at: 2 }] }).then((recording) => {
+      assert.strictEqual(eventsOf(recording.events, 'Sink', 'fault')[0].effect, 'completes _write #3 early')
+      const finish = eventsOf(recording.events, 'Sink', 'finish')[0]
+      const completes = eventsOf(recording.events, 'Sink', 'write-complete')
+      assert(finish.seq < completes[completes.length - 1].seq)
+      assert.deepStrictEqual(eventsOf(recording.events, 'Sink', 'error'), [])
+    })
+  })
+})
@@ -0,0 +1,59 @@
+'use strict'
+
+const assert = require('assert')
+const fingerprint = require('../lib/fingerprint')
+
+function event(stream, type, buffers, details) {
+  return Object.assign({ stream, type, buffers }, details)
+}
+
+const trace = {
+  header: { streams: [{ name: 'Source' }, { name: 'Sink' }] },
+  events: [
+    event('Source', 'data', { Source: 0, Sink: 0 }),
+    event('Sink', 'write', { Source: 0, Sink: 1 }, { response: true }),
+    event('Source', 'push', { Source: 0, Sink: 1 }, { response: true, eof: false }),
+    event('Source', 'push', { Source: 2, Sink: 1 }, { response: false, eof: false }),
+    event('Source', 'push', { Source: 2, Sink: 1 }, { response: false, eof: true })
+  ]
+}
+
+describe('fingerprint', function () {
+  describe('fingerprintTrace', function () {
+    it('keeps the event order, push results and max occupancy', function () {
+      assert.deepStrictEqual(fingerprint.fingerprintTrace(trace), {
+        events: ['Source data', 'Sink write true', 'Source push true', 'Source push false', 'Source push null false'],
+        pushResults: { Source: [true, false, false] },
+        maxOccupancy: { Source: 2, Sink: 1 }
+      })
+    })
+  })
+
+  describe('compareFingerprints', function () {
+    const a = { node: 'a', scenarios: { backpressure: fingerprint.fingerprintTrace(trace) } }
+
+    it('finds nothing between identical fingerprints', function () {
+      assert.deepStrictEqual(fingerprint.compareFingerprints(a, a), [])
+    })
+
+    it('reports where the event order and push results diverge, and occupancy changes', function () {
+      const changed = JSON.parse(JSON.stringify(a))
+      changed.scenarios.backpressure.events[2] = 'Source push false'
+      changed.scenarios.backpressure.pushResults.Source[0] = false
+      changed.scenarios.backpressure.maxOccupancy.Source = 3
+      assert.deepStrictEqual(fingerprint.compareFingerprints(a, changed), [
+        { scenario: 'backpressure', kind: 'events', index: 2 },
+        { scenario: 'backpressure', kind: 'pushResults', stream: 'Source', index: 0 },
+        { scenario: 'backpressure', kind: 'maxOccupancy', stream: 'Source' }
+      ])
+    })
+
+    it('reports scenarios missing from either side', function () {
+      const b = { node: 'b', scenarios: { flowing: a.scenarios.backpressure } }
+      assert.deepStrictEqual(fingerprint.compareFingerprints(a, b), [
+        { scenario: 'backpressure', kind: 'missing', in: 'b' },
+        { scenario: 'flowing', kind: 'missing', in: 'a' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,52 @@
+'use strict'
+
+const assert = require('assert')
+const flowing = require('../lib/flowing')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+const eventsAfter = helpers.eventsAfter
+
+// Each test is one of the observations in the comment at the top of lib/flowing.js.
+describe('flowing', function () {
+  let events
+
+  before(function () {
+    return helpers.recordPipe(flowing.DEFAULTS).then((recording) => {
+      events = recording.events
+    })
+  })
+
+  it('pauses the source, and stops it flowing, when the sink buffer is full', function () {
+    const pauses = eventsOf(events, 'Source', 'pause').filter((event) => event.buffers.Sink > 0)
+    assert(pauses.length > 0)
+    pauses.forEach((pause) => {
+      const previous = events[events.indexOf(pause) - 1]
+      assert.strictEqual(previous.stream, 'Sink')
+      assert.strictEqual(previous.type, 'write')
+      assert.strictEqual(previous.response, false)
+      assert.deepStrictEqual(pause.state.Source, { flowing: false, paused: true })
+    })
+  })
+
+  it('keeps reading into the source buffer while paused', function () {
+    const pause = eventsOf(events, 'Source', 'pause')[0]
+    const whilePaused = eventsAfter(events, pause, (event) => event.stream === 'Source' && event.type === 'resume')
+    assert(eventsOf(whilePaused, 'Source', 'read').length > 0)
+    assert(whilePaused.some((event) => event.buffers.Source > 0))
+  })
+
+  it('resumes the source as soon as the sink drains', function () {
+    const drains = eventsOf(events, 'Sink', 'drain')
+    assert(drains.length > 0)
+    drains.forEach((drain) => {
+      const next = events[events.indexOf(drain) + 1]
+      assert.deepStrictEqual(next.state.Source, { flowing: true, paused: false })
+    })
+  })
+
+  it('does not end the source until its buffer is emptied', function () {
+    const end = eventsOf(events, 'Source', 'end')[0]
+    assert.strictEqual(end.buffers.Source, 0)
+  })
+})
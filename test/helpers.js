@@ -0,0 +1,203 @@
+'use strict'
+
+const childProcess = require('child_process')
+const path = require('path')
+const instrumentation = require('../lib/instrumentation')
+
+const BIN = path.join(__dirname, '..', 'bin', 'stream-examples.js')
+
+/*
+  Pipes a Source into a Sink on a virtual clock, using an example's parameters, and resolves with every event the
+  tracer recorded once the clock has nothing left to do: { events, source, sink }.
+*/
+function recordPipe(defaults, options) {
+  const config = Object.assign({}, defaults, options)
+  const faults = instrumentation.faults.validateFaultPlan(config.faults || {})
+  const clock = new instrumentation.VirtualClock()
+
+  const source = new instrumentation.Source({
+    highWaterMark: config.sourceHighWaterMark,
+    readCount: config.readCount,
+    readInterval: config.readInterval,
+    chunkData: config.chunkData,
+    faults: faults.source,
+    clock
+  })
+  source.setEncoding('utf8')
+
+  const sink = new instrumentation.Sink({
+    highWaterMark: config.sinkHighWaterMark,
+    writeInterval: config.writeInterval,
+    chunkData: config.chunkData,
+    faults: faults.sink,
+    clock
+  })
+
+  // errors are in the recorded events; without a listener a planned fault would fail the test run
+  source.on('error', () => {})
+  sink.on('error', () => {})
+
+  const tracer = new instrumentation.Tracer({ clock })
+  tracer.attach(source)
+  tracer.attach(sink)
+  const events = []
+  tracer.on('event', (event) => events.push(event))
+
+  return new Promise((resolve) => {
+    clock.once('idle', () => resolve({ events, source, sink }))
+    source.pipe(sink)
+  })
+}
+
+/*
+  Pipes `count` Sources into a Sink each, side by side on one virtual clock, using an example's parameters, and
+  resolves with the trace they make once the clock has nothing left to do: { header, events } as readTrace gives it,
+  with streams named Source 1, Sink 1, Source 2...
+*/
+function recordPairs(count, defaults, options) {
+  const config = Object.assign({}, defaults, options)
+  const clock = new instrumentation.VirtualClock()
+  const tracer = new instrumentation.Tracer({ clock })
+  const pairs = Array.from({ length: count }, (unused, i) => {
+    const source = new instrumentation.Source({
+      name: `Source ${i + 1}`,
+      highWaterMark: config.sourceHighWaterMark,
+      readCount: config.readCount,
+      readInterval: config.readInterval,
+      chunkData: config.chunkData,
+      clock
+    })
+    const sink = new instrumentation.Sink({
+      name: `Sink ${i + 1}`,
+      highWaterMark: config.sinkHighWaterMark,
+      writeInterval: config.writeInterval,
+      chunkData: config.chunkData,
+      clock
+    })
+    tracer.attach(source)
+    tracer.attach(sink)
+    return [source, sink]
+  })
+  const events = []
+  tracer.on('event', (event) => events.push(event))
+
+  return new Promise((resolve) => {
+    clock.once('idle', () => {
+      const streams = tracer.streams.map((entry) => ({
+        name: entry.name,
+        bufferCapacity: entry.stream.bufferCapacity,
+        bufferLimit: entry.stream.bufferLimit,
+        bufferUnit: entry.stream.bufferUnit
+      }))
+      resolve({ header: { type: 'header', streams }, events })
+    })
+    pairs.forEach((pair) => pair[0].pipe(pair[1]))
+  })
+}
+
+/*
+  Runs an example as the command-line runner would, on a virtual clock and with its logging silenced. `watch` is
+  called with the streams it returns before anything happens, and the promise resolves with them once the clock has
+  nothing left to do. An example on real I/O (realTime) runs on real time instead, until its `done` resolves.
+*/
+function runQuietly(scenario, options, watch) {
+  const output = console.log
+  const errorOutput = console.error
+  const write = process.stdout.write
+  const restore = () => {
+    console.log = output
+    console.error = errorOutput
+    process.stdout.write = write
+  }
+  console.log = () => {}
+  console.error = () => {}
+  process.stdout.write = () => true
+  let streams
+  try {
+    streams = scenario.run(Object.assign({}, options, scenario.realTime ? {} : { virtualTime: true }))
+  } catch (err) {
+    restore()
+    throw err
+  }
+  watch(streams)
+  const finished = scenario.realTime ? streams.done : new Promise((resolve) => streams.clock.once('idle', resolve))
+  return finished.then(() => {
+    restore()
+    return streams
+  })
+}
+
+// Runs an example with runQuietly and resolves with every event its tracer recorded.
+function recordRun(scenario, options) {
+  const events = []
+  return runQuietly(scenario, options, (streams) => {
+    streams.tracer.on('event', (event) => events.push(event))
+  }).then(() => events)
+}
+
+/*
+  Switches output to json and collects what it prints until the promise `run` returns resolves, then resolves with
+  { result, lines }, lines being everything printed, parsed. `run` is called with the function collecting them, to
+  hand console.log back to where something else has replaced it.
+*/
+function captureJson(run) {
+  const lines = []
+  const log = console.log
+  const capture = (text) => lines.push(JSON.parse(text))
+  const restore = () => {
+    console.log = log
+    instrumentation.output.use()
+  }
+  instrumentation.output.use('json')
+  console.log = capture
+  let running
+  try {
+    running = run(capture)
+  } catch (err) {
+    restore()
+    throw err
+  }
+  return running.then((result) => {
+    restore()
+    return { result, lines }
+  })
+}
+
+// Runs an example with runQuietly and captureJson, and resolves with { streams, lines }. `watch` is as for runQuietly.
+function recordJson(scenario, options, watch) {
+  return captureJson((capture) => runQuietly(scenario, options, (streams) => {
+    console.log = capture
+    if (watch) {
+      watch(streams)
+    }
+  })).then((captured) => ({ streams: captured.result, lines: captured.lines }))
+}
+
+// Runs the command-line runner to the end in a child process, and returns { status, stdout, stderr }.
+function runCli(args) {
+  return childProcess.spawnSync(process.execPath, [BIN].concat(args), { encoding: 'utf8', timeout: 10000 })
+}
+
+// Picks out the events of one stream, optionally of one type.
+function eventsOf(events, stream, type) {
+  return events.filter((event) => event.stream === stream && (!type || event.type === type))
+}
+
+// The events recorded after `event`, up to the first one matching `until`.
+function eventsAfter(events, event, until) {
+  const after = events.slice(events.indexOf(event) + 1)
+  const end = until ? after.findIndex(until) : -1
+  return end === -1 ? after : after.slice(0, end)
+}
+
+module.exports = {
+  recordPipe,
+  recordPairs,
+  runQuietly,
+  recordRun,
+  captureJson,
+  recordJson,
+  runCli,
+  eventsOf,
+  eventsAfter
+}
@@ -0,0 +1,89 @@
+'use strict'
+
+const assert = require('assert')
+const instrumentation = require('../lib/instrumentation')
+const ignoredBackpressure = require('../lib/ignored-backpressure')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+// Runs a variant with runQuietly, and resolves with its events and the messages it printed as json.
+function recordVariant(variant) {
+  const events = []
+  return helpers.recordJson(ignoredBackpressure, { variant }, (streams) => {
+    streams.tracer.on('event', (event) => events.push(event))
+  }).then((recording) => {
+    return { events, messages: recording.lines.filter((line) => line.type === 'message') }
+  })
+}
+
+// Each test is one of the observations in the comment at the top of lib/ignored-backpressure.js.
+describe('ignored-backpressure', function () {
+  it('keeps writing after write returns false, and the sink buffer grows with no drain', function () {
+    return recordVariant('write').then((recording) => {
+      const writes = eventsOf(recording.events, 'Sink', 'write')
+      const firstFalse = writes.findIndex((event) => event.response === false)
+      assert.ok(firstFalse > 0)
+      assert.ok(writes.slice(firstFalse).every((event) => event.response === false))
+      assert.deepStrictEqual(eventsOf(recording.events, 'Sink', 'drain'), [])
+      const peak = Math.max(...recording.events.map((event) => event.sizes.Sink))
+      assert.ok(peak > 4 * ignoredBackpressure.DEFAULTS.sinkHighWaterMark)
+    })
+  })
+
+  it('warns with the line the ignored writes come from', function () {
+    return recordVariant('write').then((recording) => {
+      const warnings = recording.messages.filter((message) => message.style === 'fault')
+      assert.deepStrictEqual(warnings.map((warning) => warning.text), [
+        'Sink writable buffer at 225 bytes, 2.3x its highWaterMark of 100',
+        'Sink writable buffer at 425 bytes, 4.3x its highWaterMark of 100'
+      ])
+      const details = recording.messages.filter((message) => message.style === 'detail')
+      details.forEach((detail) => assert.ok(/write\(\) called \d+ times .*lib\/ignored-backpressure\.js:\d+/
+        .test(detail.text), detail.text))
+    })
+  })
+
+  it('grows the readable buffer when push is ignored, while pipe keeps the sink at its highWaterMark', function () {
+    return recordVariant('push').then((recording) => {
+      const peak = (name) => Math.max(...recording.events.map((event) => event.sizes[name]))
+      assert.ok(peak('Producer') > 4 * ignoredBackpressure.DEFAULTS.sourceHighWaterMark)
+      assert.ok(peak('Sink') <= ignoredBackpressure.DEFAULTS.sinkHighWaterMark)
+      const warnings = recording.messages.filter((message) => message.style === 'fault')
+      assert.ok(warnings.length > 0)
+      assert.ok(warnings.every((warning) => warning.text.indexOf('Producer readable buffer') === 0))
+    })
+  })
+
+  it('stays at the highWaterMark, with no warning, when the producer waits for drain', function () {
+    return recordVariant('drain').then((recording) => {
+      const peak = Math.max(...recording.events.map((event) => event.sizes.Sink))
+      assert.ok(peak <= ignoredBackpressure.DEFAULTS.sinkHighWaterMark)
+      assert.deepStrictEqual(recording.messages.filter((message) => message.style === 'fault'), [])
+    })
+  })
+
+  describe('detectOverflow', function () {
+    it('warns past the multiple, then each time the buffer doubles, until stopped', function () {
+      const clock = new instrumentation.VirtualClock()
+      const sink = new instrumentation.Sink({ highWaterMark: 10, writeInterval: 0, clock })
+      const warnings = []
+      const onWarning = (warning) => warnings.push(warning)
+      const stop = instrumentation.detectOverflow([sink], { multiple: 3, onWarning })
+      for (let i = 0; i < 13; i++) {
+        sink.write('abcde')
+      }
+      assert.deepStrictEqual(warnings.map((warning) => [warning.length, warning.multiple, warning.ignored]), [
+        [35, 3.5, 5],
+        [65, 6.5, 11]
+      ])
+      assert.strictEqual(warnings[0].side, 'writable')
+      assert.strictEqual(warnings[0].unit, 'bytes')
+      assert.ok(warnings[0].callSite.indexOf('test/ignored-backpressure.test.js') !== -1, warnings[0].callSite)
+      stop()
+      sink.write('abcde')
+      sink.write('abcde'.repeat(10))
+      assert.strictEqual(warnings.length, 2)
+    })
+  })
+})
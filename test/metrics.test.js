@@ -0,0 +1,69 @@
+'use strict'
+
+const assert = require('assert')
+const instrumentation = require('../lib/instrumentation')
+const backpressure = require('../lib/backpressure')
+const fanIn = require('../lib/fan-in')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+describe('metrics', function () {
+  let events
+  let metrics
+
+  before(function () {
+    events = []
+    let tracked
+    return helpers.runQuietly(backpressure, {}, (streams) => {
+      tracked = instrumentation.trackMetrics(streams.tracer, streams.sink, streams.source)
+      streams.tracer.on('event', (event) => events.push(event))
+    }).then(() => {
+      metrics = tracked.summary()
+    })
+  })
+
+  it('counts the chunks the sink completed and their size', function () {
+    assert.strictEqual(metrics.chunks, backpressure.DEFAULTS.readCount)
+    assert.strictEqual(metrics.size, backpressure.DEFAULTS.readCount * backpressure.DEFAULTS.chunkData.length)
+    assert.strictEqual(metrics.unit, 'bytes')
+    assert.strictEqual(metrics.chunksPerSecond, Math.round(metrics.chunks / metrics.time * 10000) / 10)
+  })
+
+  it('counts push returning false and drain events, as the tracer recorded them', function () {
+    const pushFalse = eventsOf(events, 'Source', 'push').filter((event) => event.response === false && !event.eof)
+    assert.ok(pushFalse.length > 0)
+    assert.strictEqual(metrics.streams.Source.pushFalse, pushFalse.length)
+    assert.strictEqual(metrics.streams.Sink.drains, eventsOf(events, 'Sink', 'drain').length)
+  })
+
+  it('gives peak and average occupancy for each buffer', function () {
+    ['Source', 'Sink'].forEach((name) => {
+      const stream = metrics.streams[name]
+      assert.strictEqual(stream.peakOccupancy, Math.max(...events.map((event) => event.sizes[name])))
+      assert.ok(stream.averageOccupancy > 0 && stream.averageOccupancy < stream.peakOccupancy)
+    })
+  })
+
+  it('adds up the time the source spent paused', function () {
+    assert.ok(metrics.streams.Source.pausedTime > 0 && metrics.streams.Source.pausedTime < metrics.time)
+  })
+
+  it('gives the latency of each chunk, from push to write completion', function () {
+    const latency = metrics.latency
+    assert.strictEqual(latency.perChunk.length, metrics.chunks)
+    // the first chunk goes straight to the sink, and takes one write
+    assert.strictEqual(latency.perChunk[0], backpressure.DEFAULTS.writeInterval)
+    assert.strictEqual(latency.min, Math.min(...latency.perChunk))
+    assert.strictEqual(latency.max, Math.max(...latency.perChunk))
+  })
+
+  it('prints the summary when the sink finishes', function () {
+    return helpers.recordJson(fanIn).then((recording) => {
+      const reports = recording.lines.filter((line) => line.type === 'metrics')
+      assert.strictEqual(reports.length, 1)
+      assert.strictEqual(reports[0].chunks, 30)
+      assert.strictEqual(reports[0].latency, undefined)
+    })
+  })
+})
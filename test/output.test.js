@@ -0,0 +1,95 @@
+'use strict'
+
+const assert = require('assert')
+const instrumentation = require('../lib/instrumentation')
+const scenarios = require('../lib/scenarios')
+const helpers = require('./helpers')
+
+const output = instrumentation.output
+
+// Calls `fn` with `mode` in use, and returns what it printed as { stdout, stderr } lines.
+function capture(mode, fn) {
+  const log = console.log
+  const error = console.error
+  const printed = { stdout: [], stderr: [] }
+  console.log = (text) => printed.stdout.push(...String(text).split('\n'))
+  console.error = (text) => printed.stderr.push(...String(text).split('\n'))
+  try {
+    output.use(mode)
+    fn()
+  } finally {
+    console.log = log
+    console.error = error
+    output.use()
+  }
+  return printed
+}
+
+function drawnStream(name, length, size) {
+  return {
+    name,
+    getBufferLength: () => length,
+    getBufferSize: () => size,
+    bufferLimit: 100,
+    bufferUnit: 'bytes',
+    completeId: 2
+  }
+}
+
+describe('output', function () {
+  it('colors messages with the color renderer', function () {
+    const printed = capture('color', () => output.log('good', 'Sink drain event'))
+    assert.notStrictEqual(printed.stdout[0], 'Sink drain event')
+    assert.strictEqual(output.stripColors(printed.stdout[0]), 'Sink drain event')
+  })
+
+  it('prints nothing but text with the plain renderer, errors to stderr', function () {
+    const printed = capture('plain', () => {
+      output.log('push', 'Source._push #1 response: true')
+      output.error('bad', 'Sink error')
+      instrumentation.printBuffers(drawnStream('Source', 1, 25), drawnStream('Sink', 4, 120))
+    })
+    assert.strictEqual(printed.stdout[0], 'Source._push #1 response: true')
+    assert.deepStrictEqual(printed.stderr, ['Sink error'])
+    printed.stdout.forEach((line) => {
+      assert.match(line, /^[\x20-\x7e]*$/)
+      assert.strictEqual(line, line.replace(/\s+$/, ''))
+    })
+    const drawn = '|///         |                    |////////////>                              2'
+    assert.ok(printed.stdout.includes(drawn))
+  })
+
+  it('prints a JSON object per message and drawing with the json renderer', function () {
+    const printed = capture('json', () => {
+      output.log('push', 'Source._push #1 response: true')
+      output.error('bad', 'Sink error')
+      instrumentation.printBuffers(drawnStream('Source', 1, 25), drawnStream('Sink', 4, 120))
+    })
+    assert.deepStrictEqual(printed.stdout.map((line) => JSON.parse(line)), [
+      { type: 'message', style: 'push', text: 'Source._push #1 response: true' },
+      { type: 'message', style: 'bad', text: 'Sink error', error: true },
+      {
+        type: 'buffers',
+        layout: 'buffers',
+        streams: [
+          { name: 'Source', chunks: 1, size: 25, limit: 100, unit: 'bytes', completed: 2 },
+          { name: 'Sink', chunks: 4, size: 120, limit: 100, unit: 'bytes', completed: 2 }
+        ]
+      }
+    ])
+  })
+
+  it('gives the flags of each stream in fan-out drawings', function () {
+    return helpers.recordJson(scenarios['fan-out']).then((recording) => {
+      const drawings = recording.lines.filter((line) => line.type === 'buffers')
+      assert.ok(drawings.every((drawing) => drawing.layout === 'fan-out'))
+      const flags = drawings.map((drawing) => drawing.streams.map((stream) => stream.flags || []))
+      assert.ok(flags.some((streams) => streams.some((streamFlags) => streamFlags.includes('needs drain'))))
+    })
+  })
+
+  it('rejects unknown modes and styles', function () {
+    assert.throws(() => output.use('html'), /Unknown output html/)
+    assert.throws(() => output.log('loud', 'text'), /Unknown style loud/)
+  })
+})
@@ -0,0 +1,51 @@
+'use strict'
+
+const assert = require('assert')
+const pausedMode = require('../lib/paused-mode')
+const helpers = require('./helpers')
+
+const eventsOf = helpers.eventsOf
+
+// The values readableFlowing goes through, without repeats.
+function flowingStates(events) {
+  return events.map((event) => event.state.Source.flowing).filter((flowing, i, all) => flowing !== all[i - 1])
+}
+
+// Each test is one of the observations in the comment at the top of lib/paused-mode.js.
+describe('paused-mode', function () {
+  it('stays in paused mode with a readable listener, taking two chunks with each read(size)', function () {
+    return helpers.recordRun(pausedMode, { variant: 'readable' }).then((events) => {
+      assert.deepStrictEqual(flowingStates(events), [false])
+      events.forEach((event) => assert.strictEqual(event.state.Source.paused, true))
+      const sizes = eventsOf(events, 'Sink', 'write-complete').map((event) => event.chunkSize)
+      assert.ok(sizes.every((size) => size === pausedMode.DEFAULTS.readSize))
+      assert.ok(eventsOf(events, 'Source', 'push').some((event) => !event.eof && event.response === false))
+    })
+  })
+
+  it('flows with a data listener, and pauses and resumes with the sink', function () {
+    return helpers.recordRun(pausedMode, { variant: 'data' }).then((events) => {
+      assert.strictEqual(flowingStates(events)[0], true)
+      const pauses = eventsOf(events, 'Source', 'pause')
+      assert.ok(pauses.length > 0)
+      pauses.forEach((pause) => {
+        const previous = events[events.indexOf(pause) - 1]
+        assert.strictEqual(previous.type, 'write')
+        assert.strictEqual(previous.response, false)
+        assert.deepStrictEqual(pause.state.Source, { flowing: false, paused: true })
+      })
+      eventsOf(events, 'Source', 'resume').forEach((resume) => {
+        assert.deepStrictEqual(resume.state.Source, { flowing: true, paused: false })
+      })
+    })
+  })
+
+  it('goes back to null when the readable listener is removed, then flows once there is a data listener', function () {
+    return helpers.recordRun(pausedMode, { variant: 'mixed' }).then((events) => {
+      assert.deepStrictEqual(flowingStates(events).slice(0, 4), [false, null, true, false])
+      const switched = eventsOf(events, 'Source', 'switch')[0]
+      assert.deepStrictEqual(switched.state.Source, { flowing: null, paused: false })
+      assert.ok(switched.buffers.Source > 0)
+    })
+  })
+})
@@ -0,0 +1,41 @@
+'use strict'
+
+const assert = require('assert')
+const realIo = require('../lib/real-io')
+const helpers = require('./helpers')
+
+// Runs a variant with its output silenced, and resolves with the metrics it printed at the end.
+function runVariant(variant, options) {
+  return helpers.recordJson(realIo, Object.assign({ variant }, options)).then((recording) => {
+    return recording.lines.find((line) => line.type === 'metrics')
+  })
+}
+
+// Real I/O, so only what doesn't depend on the machine's timing is checked.
+describe('real-io', function () {
+  this.timeout(10000)
+
+  it('backs a file read stream up behind a slow stage', function () {
+    return runVariant('file', { fileSize: 65536, transformInterval: 50 }).then((metrics) => {
+      assert.strictEqual(metrics.sink, 'WriteStream')
+      assert.strictEqual(metrics.size, 65536)
+      // each read fills the buffer, once the slow stage is busy
+      assert.ok(metrics.streams.ReadStream.pushFalse > 0)
+      assert.strictEqual(metrics.latency.perChunk.length, 4)
+    })
+  })
+
+  ;['socket', 'zlib', 'child'].forEach((variant) => {
+    it(`delivers everything through the ${variant} variant`, function () {
+      return runVariant(variant, { readCount: 8, writeInterval: 5 }).then((metrics) => {
+        assert.strictEqual(metrics.sink, 'Sink')
+        assert.strictEqual(metrics.size, 8 * realIo.DEFAULTS.chunkSize)
+        assert.strictEqual(metrics.latency, undefined)
+      })
+    })
+  })
+
+  it('refuses to run on the virtual clock', function () {
+    assert.throws(() => realIo.run({ virtualTime: true }), /virtual clock/)
+  })
+})
@@ -0,0 +1,56 @@
+'use strict'
+
+const assert = require('assert')
+const stream = require('stream')
+const state = require('../lib/instrumentation/state')
+
+describe('state', function () {
+  it('reads state through public API where the stream has it, and says so', function () {
+    const readable = new stream.Readable({ read() {}, highWaterMark: 10 })
+    readable.push('abc')
+    assert.deepStrictEqual(state.probe(readable, 'readableLength'), { value: 3, probe: 'readableLength', public: true })
+    assert.deepStrictEqual(state.probe(readable, 'readableFlowing'), {
+      value: null,
+      probe: 'readableFlowing',
+      public: true
+    })
+  })
+
+  it('falls back to the internals when the public property is missing', function () {
+    const writable = new stream.Writable({ write() {}, highWaterMark: 2 })
+    writable.write('abc')
+    // the writable's state, without the public properties, as before they were added
+    const fallback = { _writableState: writable._writableState }
+    assert.deepStrictEqual(state.probe(fallback, 'writableNeedDrain'), {
+      value: true,
+      probe: '_writableState.needDrain',
+      public: false
+    })
+    assert.strictEqual(state.inspect(fallback, 'writableLength'), 3)
+  })
+
+  it('counts queued chunks from the internals, as there is no public API for them', function () {
+    const readable = new stream.Readable({ read() {} })
+    readable.push('a')
+    readable.push('b')
+    assert.strictEqual(state.readableBufferLength(readable), 2)
+    readable.read(1)
+    assert.strictEqual(state.readableBufferLength(readable), 1)
+    assert.strictEqual(state.probe(readable, 'readableBufferLength').public, false)
+
+    const writable = new stream.Writable({ write() {} })
+    writable.write('a')
+    writable.write('b')
+    writable.write('c')
+    // the first chunk is being written, not queued
+    assert.strictEqual(state.writableBufferLength(writable), 2)
+  })
+
+  it('lists the probe for each property of the sides a stream has', function () {
+    const readable = state.describeProbes(new stream.Readable({ read() {} }))
+    assert.ok(readable.every((entry) => entry.property.startsWith('readable')))
+    const duplex = state.describeProbes(new stream.Duplex({ read() {}, write() {} }))
+    assert.strictEqual(duplex.length, Object.keys(state.PROBES).length)
+    assert.throws(() => state.inspect(new stream.Readable(), 'readableColor'), /Unknown stream state readableColor/)
+  })
+})
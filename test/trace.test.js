@@ -0,0 +1,111 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const backpressure = require('../lib/backpressure')
+const instrumentation = require('../lib/instrumentation')
+const helpers = require('./helpers')
+
+/*
+  Pipes a quick Source into a Sink with their trace recorded to `file`, and resolves with every event the tracer
+  recorded once the file is written.
+*/
+function recordTo(file) {
+  const source = new instrumentation.Source({ readCount: 3, readInterval: 1 })
+  const sink = new instrumentation.Sink({ writeInterval: 1 })
+  const tracer = new instrumentation.Tracer()
+  tracer.attach(source)
+  tracer.attach(sink)
+  const out = instrumentation.recordTrace(tracer, file)
+  const events = []
+  tracer.on('event', (event) => events.push(event))
+  return new Promise((resolve) => {
+    // after the events that follow 'finish' on the same tick, like 'close'
+    sink.on('finish', () => setTimeout(() => {
+      tracer.removeAllListeners('event')
+      out.end(() => resolve(events))
+    }, 10))
+    source.pipe(sink)
+  })
+}
+
+// Replays a trace without waiting, and resolves with everything it printed as json.
+function replayJson(trace) {
+  return helpers.captureJson(() => new Promise((resolve) => instrumentation.replayTrace(trace, { speed: 0 }, resolve)))
+    .then((captured) => captured.lines)
+}
+
+// Replays a trace with replayJson, and resolves with the drawings it printed.
+function replayDrawings(trace) {
+  return replayJson(trace).then((lines) => lines.filter((line) => line.type === 'buffers'))
+}
+
+describe('trace', function () {
+  let dir
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-examples-trace-'))
+  })
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true })
+  })
+
+  it('reads back the streams and every event it recorded', function () {
+    const file = path.join(dir, 'pipe.jsonl')
+    return recordTo(file).then((events) => {
+      const trace = instrumentation.readTrace(file)
+      assert.deepStrictEqual(trace.header.streams.map((stream) => stream.name), ['Source', 'Sink'])
+      assert.deepStrictEqual(trace.events, JSON.parse(JSON.stringify(events)))
+      assert.ok(trace.events.some((event) => event.stream === 'Sink' && event.type === 'finish'))
+    })
+  })
+
+  it('rejects a file that is not a trace it can read', function () {
+    const write = (name, lines) => {
+      fs.writeFileSync(path.join(dir, name), lines.join('\n') + '\n')
+      return path.join(dir, name)
+    }
+    assert.throws(() => instrumentation.readTrace(write('broken.jsonl', ['{'])), /broken\.jsonl:1 is not valid JSON/)
+    assert.throws(() => instrumentation.readTrace(write('events.jsonl', ['{ "seq": 1 }'])),
+      /does not start with a trace header/)
+    assert.throws(() => instrumentation.readTrace(write('future.jsonl', ['{ "type": "header", "version": 999 }'])),
+      /is trace version 999/)
+  })
+
+  it('replays every event it recorded, in order', function () {
+    const file = path.join(dir, 'replay.jsonl')
+    return recordTo(file).then(() => {
+      const trace = instrumentation.readTrace(file)
+      return replayJson(trace).then((lines) => {
+        const texts = lines.filter((line) => line.type === 'message').map((line) => line.text)
+        const described = trace.events.map((event) => {
+          return texts.findIndex((text) => text.includes(`#${event.seq} ${event.stream} ${event.type}`))
+        })
+        assert.ok(described.every((index, i) => index !== -1 && (i === 0 || index > described[i - 1])))
+      })
+    })
+  })
+
+  it('replays each pair of streams piped together as a drawing of its own', function () {
+    return helpers.recordPairs(2, backpressure.DEFAULTS, { readCount: 3 }).then(replayDrawings).then((drawings) => {
+      const names = drawings.map((drawing) => drawing.streams.map((stream) => stream.name).join(', '))
+      assert.deepStrictEqual(Array.from(new Set(names)), ['Source 1, Sink 1', 'Source 2, Sink 2'])
+      const last = drawings.filter((drawing) => drawing.streams[1].name === 'Sink 2').pop()
+      assert.strictEqual(last.streams[1].completed, 3)
+    })
+  })
+
+  it('replays a trace whose pipe events name no source as one drawing', function () {
+    return helpers.recordPairs(2, backpressure.DEFAULTS, { readCount: 3 }).then((trace) => {
+      trace.events.forEach((event) => {
+        delete event.source
+      })
+      return replayDrawings(trace)
+    }).then((drawings) => {
+      assert.ok(drawings.every((drawing) => drawing.streams.length === 4))
+    })
+  })
+})
@@ -0,0 +1,86 @@
+'use strict'
+
+const assert = require('assert')
+const childProcess = require('child_process')
+const path = require('path')
+const tui = require('../lib/tui')
+
+const BIN = path.join(__dirname, '..', 'bin', 'stream-examples.js')
+
+// Waits until the child's output so far passes `until`.
+function waitForOutput(child, until) {
+  return new Promise((resolve) => {
+    const check = () => {
+      if (until(child.output)) {
+        child.stdout.removeListener('data', check)
+        resolve(child.output)
+      }
+    }
+    child.stdout.on('data', check)
+    check()
+  })
+}
+
+function lastScreen(output) {
+  const screens = output.split('\u001b[H\u001b[2J')
+  return screens[screens.length - 1]
+}
+
+describe('terminal UI', function () {
+  let child
+
+  beforeEach(function () {
+    child = childProcess.spawn(process.execPath, [BIN, 'backpressure', '--tui', '--speed', '0'])
+    child.output = ''
+    child.stdout.setEncoding('utf8')
+    child.stdout.on('data', (text) => {
+      child.output += text
+    })
+  })
+
+  afterEach(function () {
+    child.kill()
+  })
+
+  it('starts paused on the alternate screen', function () {
+    return waitForOutput(child, (output) => output.includes('paused')).then((output) => {
+      assert.ok(output.startsWith('\u001b[?1049h'))
+      assert.ok(lastScreen(output).includes('0ms   paused'))
+    })
+  })
+
+  it('runs the example to the end when played, showing the flags of each stream', function () {
+    child.stdin.write(' ')
+    return waitForOutput(child, (output) => lastScreen(output).includes('done')).then((output) => {
+      const screen = lastScreen(output)
+      assert.match(screen, /Source .*ended true/)
+      assert.match(screen, /Sink .*finished true/)
+      assert.match(screen, /Sink drain/)
+    })
+  })
+
+  it('changes the write interval while running', function () {
+    child.stdin.write('W')
+    return waitForOutput(child, (output) => lastScreen(output).includes('writeInterval 275ms'))
+  })
+
+  it('leaves the alternate screen and exits on q', function () {
+    return waitForOutput(child, (output) => output.includes('paused')).then(() => {
+      const exited = new Promise((resolve) => child.on('exit', resolve))
+      child.stdin.write('q')
+      return exited
+    }).then((code) => {
+      assert.strictEqual(code, 0)
+      assert.ok(child.output.endsWith('\u001b[?25h\u001b[?1049l'))
+    })
+  })
+
+  it('fits the screen to the terminal height, keeping the latest events', function () {
+    const stream = { getBufferLength: () => 0, getBufferSize: () => 0, bufferLimit: 10, bufferUnit: 'bytes' }
+    const events = Array.from({ length: 50 }, (_, i) => ({ time: i, stream: 'Source', type: 'push', response: true }))
+    const lines = tui.formatScreen({ name: 'backpressure', time: 0, paused: true, idle: false, speed: 1,
+      streams: [{ name: 'Source', stream }], events, rows: 12 })
+    assert.strictEqual(lines.length, 12)
+    assert.ok(lines[lines.length - 3].includes('49ms'))
+  })
+})
@@ -0,0 +1,94 @@
+'use strict'
+
+const assert = require('assert')
+const webStreams = require('../lib/web-streams')
+const helpers = require('./helpers')
+
+// Runs the example and resolves with what each stream did, in order: [{ stream, type, desiredSize, size }]
+function recordWebRun(options) {
+  const events = []
+  return helpers.runQuietly(webStreams, options, (streams) => {
+    const record = (stream, type) => () => {
+      events.push({ stream: stream.name, type, desiredSize: stream.desiredSize, size: stream.getBufferSize() })
+    }
+    ;['read', 'push', 'cancel'].forEach((type) => streams.source.on(type, record(streams.source, type)))
+    ;['write', 'written', 'finish', 'abort', 'change'].forEach((type) => streams.sink.on(type, record(streams.sink, type)))
+  }).then((streams) => ({ events, source: streams.source, sink: streams.sink }))
+}
+
+function eventsOf(events, stream, type) {
+  return events.filter((event) => event.stream === stream && event.type === type)
+}
+
+// Each test is one of the observations in the comment at the top of lib/web-streams.js.
+describe('web streams', function () {
+  before(function () {
+    try {
+      require('stream/web')
+    } catch (err) {
+      this.skip()
+    }
+  })
+
+  describe('backpressure', function () {
+    let events
+
+    before(function () {
+      return recordWebRun().then((recording) => {
+        events = recording.events
+      })
+    })
+
+    it('fills the readable queue before anything reads from it', function () {
+      const firstWrite = events.indexOf(eventsOf(events, 'WritableStream', 'write')[0])
+      const before = events.slice(0, firstWrite)
+      assert(before.some((event) => event.type === 'push' && event.desiredSize === 0))
+    })
+
+    it('stops the writable queue at its highWaterMark', function () {
+      const sizes = events.filter((event) => event.stream === 'WritableStream').map((event) => event.size)
+      assert.strictEqual(Math.max(...sizes), webStreams.DEFAULTS.sinkHighWaterMark)
+    })
+
+    it('only pulls again once desiredSize is above 0', function () {
+      eventsOf(events, 'ReadableStream', 'read').forEach((event) => assert(event.desiredSize > 0))
+      assert.strictEqual(eventsOf(events, 'WritableStream', 'finish').length, 1)
+    })
+  })
+
+  describe('errors', function () {
+    it('writes what the pipe already read, then aborts the writable', function () {
+      return recordWebRun({ variant: 'errors' }).then((recording) => {
+        const events = recording.events
+        const abort = eventsOf(events, 'WritableStream', 'abort')[0]
+        assert(abort)
+        assert(events.indexOf(abort) > events.indexOf(eventsOf(events, 'WritableStream', 'written').pop()))
+        assert.strictEqual(recording.sink.completeId, recording.sink.writeId)
+        assert(recording.sink.completeId < webStreams.DEFAULTS.readCount)
+      })
+    })
+
+    it('cancels the readable when a write fails', function () {
+      const faults = { sink: [{ type: 'callback', at: 3 }] }
+      return recordWebRun({ faults }).then((recording) => {
+        assert.strictEqual(eventsOf(recording.events, 'ReadableStream', 'cancel').length, 1)
+        assert.strictEqual(recording.sink.completeId, 3)
+      })
+    })
+
+    it('only takes the faults web streams can act out', function () {
+      const faults = { source: [{ type: 'destroy', at: 2 }] }
+      assert.throws(() => webStreams.run({ faults }), /Unknown Source fault "destroy", expected one of emit, throw$/)
+    })
+  })
+
+  describe('flowing', function () {
+    it('has desiredSize go to 0 and back as the only signal', function () {
+      return recordWebRun({ variant: 'flowing' }).then((recording) => {
+        const pushes = eventsOf(recording.events, 'ReadableStream', 'push')
+        assert(pushes.filter((event) => event.desiredSize <= 0).length > 1)
+        assert(recording.source.stream.locked === false)
+      })
+    })
+  })
+})